@@ -12,13 +12,27 @@
 // ===================================================================
 
 const ActivityTracker = {
+    // Lifecycle state: 'idle', 'running', 'paused', 'stopped' or 'destroyed'
+    state: 'idle',
+    
+    // Consent decision (loaded from storage at startup)
+    consent: { decided: false, granted: [], updatedAt: null },
+    
     // Store all tracked events
     events: [],
     
+    // Events removed from the buffer when it was full
+    buffer: {
+        dropped: 0,
+        flushed: 0
+    },
+    
     // Session information
     session: {
         sessionId: null,
         startTime: null,
+        visitorId: null,
+        pageSequence: 0,
         pageUrl: window.location.href,
         userAgent: navigator.userAgent,
         screenResolution: `${window.screen.width}x${window.screen.height}`,
@@ -29,10 +43,275 @@ const ActivityTracker = {
     config: {
         logToConsole: true,          // Print events to console
         logDetailedInfo: true,       // Include detailed element information
+        debug: false,                // Validate every event against its schema
         trackMouseMovement: false,   // Set to true if you want mouse tracking
         trackScrolling: true,        // Track scroll events
+        scrollTrackingMode: 'depth', // 'depth' (milestones) or 'raw' (throttled positions)
+        scrollDepthThresholds: [25, 50, 75, 90, 100], // Percentages emitted as SCROLL_DEPTH
         trackFormInputs: true,       // Track form interactions
-        groupSimilarEvents: false    // Group similar consecutive events
+        trackFrames: true,           // Also track same-origin iframes
+        groupSimilarEvents: false,   // Group similar consecutive events
+        
+        // Active engagement time (paused while hidden, unfocused or idle)
+        engagement: {
+            enabled: true,                               // Measure engaged time and emit heartbeats
+            idleTimeout: 30000,                          // No input for N ms counts as idle
+            heartbeatInterval: 15000                     // Emit a HEARTBEAT every N ms while engaged
+        },
+        
+        // Page load timing and Core Web Vitals
+        performance: {
+            enabled: true,                               // Emit a PERFORMANCE event when the page is hidden
+            slowestResources: 5                          // Slowest resources listed in the event
+        },
+        
+        // JavaScript errors, unhandled rejections and failed resource loads
+        errorTracking: {
+            enabled: true,                               // Emit ERROR events
+            breadcrumbCount: 10,                         // Recent interactions attached to each error
+            breadcrumbTypes: ['CLICK', 'FOCUS', 'CHANGE', 'FORM_SUBMIT', 'PAGE_VIEW', 'VIRTUAL_PAGE_VIEW'],
+            maxStackLength: 2000,                        // Characters of the stack trace kept
+            maxFingerprints: 100                         // Distinct errors remembered for counting repeats
+        },
+        
+        // Rage, dead and error clicks derived from the click stream
+        frustration: {
+            enabled: true,                               // Emit RAGE_CLICK, DEAD_CLICK and ERROR_CLICK
+            rageClickCount: 3,                           // Clicks that make a rage click...
+            rageClickWindow: 1000,                       // ...each within N ms of the previous one...
+            rageClickRadius: 30,                         // ...on the same element or within N px
+            deadClickTimeout: 1000,                      // No DOM change, navigation or request within N ms
+            errorClickWindow: 1000                       // JS error within N ms of a click
+        },
+        
+        // Video and audio playback
+        media: {
+            enabled: true,                               // Emit MEDIA_* events
+            milestones: [10, 25, 50, 75, 90, 100],       // Watched percentages reported as MEDIA_PROGRESS
+            seekDelay: 500                               // Seeks within N ms are reported as one
+        },
+        
+        // Link classification on clicks
+        links: {
+            downloadExtensions: ['pdf', 'zip', 'rar', '7z', 'gz', 'tar', 'ppt', 'pptx', 'doc', 'docx', 'xls', 'xlsx',
+                'csv', 'txt', 'ipynb', 'mp3', 'mp4', 'exe', 'dmg'],
+            internalDomains: [],                         // Other hostnames counted as internal
+            topDestinations: 10                          // Outbound domains listed in the summary report
+        },
+        
+        // DOM session recording for replay.html (opt-in)
+        recording: {
+            enabled: false,                              // Record DOM snapshot and changes
+            maxFrames: 50000,                            // Stop recording after N frames
+            markerTypes: ['CLICK', 'FOCUS', 'KEYBOARD']  // Events shown as markers in the replay
+        },
+        
+        // Heatmap overlay drawn by showHeatmap()
+        heatmap: {
+            radius: 25,                                  // Radius of each click in the density map (px)
+            maxElements: 20,                             // Most-clicked elements outlined in 'elements' mode
+            maxCanvasPixels: 4000000,                    // Long pages draw the density map at a lower resolution
+            opacity: 0.6                                 // Opacity of the overlay
+        },
+        
+        // In-memory event buffer
+        buffer: {
+            maxEvents: 1000,                             // Maximum events kept in memory
+            overflowPolicy: 'dropOldest',                // 'dropOldest', 'dropLowPriority' or 'flush' (to transport)
+            lowPriorityTypes: ['MOUSE_MOVE', 'HOVER', 'SCROLL', 'RESIZE', 'HEARTBEAT'], // Dropped first by 'dropLowPriority'
+            coalesceTypes: ['HOVER', 'SCROLL', 'RESIZE', 'MOUSE_MOVE']     // Merged by groupSimilarEvents
+        },
+        trackVirtualPageViews: true, // Track hash/History API navigation as page views
+        
+        // Goals and ordered funnels reported by printSummaryReport() (see README)
+        goals: [],                                       // [{ name, match }]
+        funnels: [],                                     // [{ name, steps: [{ name, match }] }]
+        disabledPlugins: [],         // Names of plugins (built-in or custom) to keep off
+        autoStart: true,             // Start tracking as soon as the DOM is ready
+        
+        // Consent gating (Do Not Track / Global Privacy Control also require consent)
+        consent: {
+            required: false,                             // Collect nothing until grantConsent()
+            mode: 'none',                                // Before consent: 'none' or 'anonymous' (page-view counts only)
+            respectDoNotTrack: true,                     // Treat DNT as "consent required"
+            respectGlobalPrivacyControl: true,           // Treat GPC as "consent required"
+            categories: ['analytics', 'performance', 'recording'], // Categories granted by grantConsent()
+            defaultCategory: 'analytics',                // Category of events not listed below
+            eventCategories: { PERFORMANCE: 'performance' }, // type_of_event -> category overrides
+            storageKey: 'activityTracker.consent'        // localStorage key for the decision
+        },
+        
+        // Redaction applied to every event before it is stored
+        privacy: {
+            maskInputTypes: ['password', 'email', 'tel', 'number', 'hidden'], // Input values never stored
+            maskAutocomplete: ['cc-number', 'cc-csc', 'cc-exp', 'one-time-code'], // Same, by autocomplete hint
+            ignoreAttribute: 'data-track-ignore',        // Elements (and children) never tracked
+            maskAttribute: 'data-track-mask',            // Elements (and children) whose text/value is masked
+            replacement: '[REDACTED]',                   // Text put in place of masked content
+            scrubPatterns: true,                         // Scrub the patterns below from all captured text
+            patterns: {
+                email: /[^\s@<>()]+@[^\s@<>()]+\.[a-z]{2,}/gi,
+                phone: /\+?\d[\d\s().-]{7,}\d/g,
+                number: /\b\d{4,}\b/g
+            },
+            unscrubbedFields: ['timestamp', 'clickTimestamp', 'eventId', 'type_of_event', 'event_object', 'cssSelector', 'formSelector', 'framePath', 'xpath', 'computedStyles', 'position', 'viewport']
+        },
+        
+        // CSS selectors recorded with events
+        selectors: {
+            stableAttributes: ['data-track-id', 'data-testid', 'name'] // Preferred over IDs, classes and position
+        },
+        
+        // Section visibility and dwell time
+        sectionTracking: {
+            enabled: true,                               // Emit SECTION_VIEW events
+            selectors: ['section[id]', '[data-track-section]'], // Elements treated as sections
+            visibleRatio: 0.5,                           // Fraction of the section (or viewport) that must be visible
+            minVisibleTime: 1000                         // Milliseconds visible before a SECTION_VIEW fires
+        },
+        
+        // Session persistence across page loads
+        session: {
+            persistence: 'sessionStorage',               // 'sessionStorage' (per tab) or 'cookie' (per browser)
+            idleTimeout: 30 * 60 * 1000,                 // Start a new session after N ms without events
+            saveInterval: 1000,                          // Write the session to storage at most every N ms
+            rolloverAtMidnight: true,                    // Start a new session when the local day changes
+            campaignParams: ['utm_source', 'utm_medium', 'utm_campaign'], // A new campaign starts a new session
+            storageKey: 'activityTracker.session',       // Storage key (or cookie name) for the session
+            visitorStorageKey: 'activityTracker.visitorId' // localStorage key for the visitor ID
+        },
+        
+        // Network delivery of events to a collector endpoint
+        transport: {
+            enabled: false,                              // Send batches to the collector
+            endpoint: 'http://localhost:3000/events',    // Collector URL receiving batches
+            batchSize: 20,                               // Flush when this many events are pending
+            flushInterval: 10000,                        // Flush pending events every N ms
+            maxRetries: 5,                               // Give up on a batch after N failed attempts
+            retryBaseDelay: 2000,                        // First retry delay in ms (doubles each attempt)
+            retryStorageKey: 'activityTracker.retryQueue' // localStorage key for failed batches
+        }
+    },
+    
+    // Registered plugins by name ({ plugin, active })
+    plugins: new Map(),
+    
+    // Selector built for each element (see getCssSelector), dropped when a watched root changes
+    selectorCache: new WeakMap(),
+    selectorObserver: null,
+    selectorRoots: new WeakSet(),
+    
+    // Instrumented same-origin iframes (iframe element -> its current document)
+    // and the observer dropping iframes removed from the page
+    frames: new Map(),
+    framesObserver: null,
+    
+    // Original history methods while navigation tracking wraps them
+    originalHistory: {},
+    
+    // Session recording state (snapshot, frames, node IDs)
+    recording: {
+        observer: null,
+        nodeIds: new WeakMap(),
+        nextNodeId: 1,
+        snapshot: null,
+        frames: [],
+        startedAt: 0,
+        startTime: null,
+        full: false
+    },
+    
+    // Engaged time of the current page view (the clock runs while activeSince is set)
+    engagement: {
+        activeTime: 0,
+        activeSince: null,
+        reportedTime: 0,
+        pageStartTime: Date.now(),
+        lastInput: 0,
+        focused: true,
+        idle: false,
+        finalized: false,
+        idleTimer: null,
+        heartbeatTimer: null
+    },
+    
+    // Performance observers and metrics collected for the current page load
+    performance: {
+        pageViewId: null,
+        observers: [],
+        supported: [],
+        reported: null,           // Metrics of the last PERFORMANCE event (JSON), to skip unchanged repeats
+        metrics: null
+    },
+    
+    // Breadcrumb trail, recorded errors by fingerprint (for deduplication, least recently seen first)
+    // and error events that already left the buffer (sent, exported or evicted)
+    errors: {
+        breadcrumbs: [],
+        seen: new Map(),
+        sent: new WeakSet()
+    },
+    
+    // Form analytics: focus state per field and progress per form in this page view
+    forms: {
+        fields: new WeakMap(),
+        progress: new Map()
+    },
+    
+    // Playback state per video/audio element (watched ranges, milestones) and the elements played
+    media: {
+        elements: new WeakMap(),
+        played: new Set()
+    },
+    
+    // Recent clicks and pending checks for frustration signals
+    frustration: {
+        recentClicks: [],
+        rageBurst: null,
+        rageTimer: null,
+        pendingClicks: [],
+        lastClick: null,
+        observer: null
+    },
+    
+    // Heatmap overlay currently shown (container, events drawn, options)
+    heatmap: {
+        container: null,
+        events: [],
+        options: null,
+        resizeHandler: null,
+        resizeTimer: null
+    },
+    
+    // Tracked sections by name (visibility timers and totals)
+    sections: new Map(),
+    sectionObserver: null,
+    
+    // Scroll depth reached in the current page view
+    scrollDepth: {
+        maxDepth: 0,
+        reached: [],
+        frameRequested: false,
+        observer: null
+    },
+    
+    // Current (possibly virtual) page view
+    currentView: null,
+    
+    // Persisted session record (totals across page loads) and its throttled save
+    sessionRecord: null,
+    sessionSave: {
+        savedAt: 0,
+        timer: null
+    },
+    
+    // Transport state (pending batch, timers)
+    transport: {
+        pending: [],
+        flushTimer: null,
+        retryTimer: null,
+        inFlight: false,
+        started: false
     }
 };
 
@@ -45,15 +324,21 @@ const ActivityTracker = {
  * Call this function when DOM is loaded
  */
 function initActivityTracker() {
-    // Generate unique session ID
-    ActivityTracker.session.sessionId = generateSessionId();
-    ActivityTracker.session.startTime = new Date().toISOString();
+    if (ActivityTracker.state !== 'idle') {
+        return;
+    }
+    ActivityTracker.state = 'running';
+    
+    // Resume the session from a previous page, or start a new one
+    startOrResumeSession();
     
     console.log('%c=================================', 'color: #4CAF50; font-weight: bold;');
     console.log('%c🔍 ACTIVITY TRACKER INITIALIZED', 'color: #4CAF50; font-weight: bold; font-size: 16px;');
     console.log('%c=================================', 'color: #4CAF50; font-weight: bold;');
     console.log('Session ID:', ActivityTracker.session.sessionId);
     console.log('Start Time:', ActivityTracker.session.startTime);
+    console.log('Page Number:', ActivityTracker.session.pageSequence);
+    console.log('Visitor ID:', ActivityTracker.session.visitorId);
     console.log('Page URL:', ActivityTracker.session.pageUrl);
     console.log('User Agent:', ActivityTracker.session.userAgent);
     console.log('Screen Resolution:', ActivityTracker.session.screenResolution);
@@ -66,722 +351,6694 @@ function initActivityTracker() {
     // Register all event listeners
     registerEventListeners();
     
-    // Track page unload
-    window.addEventListener('beforeunload', handlePageUnload);
+    // Track page unload (pagehide also fires on mobile and for bfcache) and bfcache restores
+    window.addEventListener('pagehide', handlePageUnload);
+    window.addEventListener('pageshow', handlePageShow);
+    
+    // Start delivering events to the collector
+    initTransport();
 }
 
 // ===================================================================
-// SESSION ID GENERATOR
+// LIFECYCLE CONTROL
 // ===================================================================
 
 /**
- * Generate unique session ID
- * @returns {string} Unique session identifier
+ * Start tracking (initializes the tracker on first call)
  */
-function generateSessionId() {
-    // Generate random session ID
-    return 'session_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+function start() {
+    const state = ActivityTracker.state;
+    if (state === 'running' || state === 'paused') {
+        return;
+    }
+    if (state === 'destroyed') {
+        console.warn('⚠️ Activity tracker was destroyed and cannot be restarted');
+        return;
+    }
+    
+    if (state === 'idle') {
+        initActivityTracker();
+        return;
+    }
+    
+    // Restart after stop()
+    ActivityTracker.state = 'running';
+    syncPlugins();
+    window.addEventListener('pagehide', handlePageUnload);
+    window.addEventListener('pageshow', handlePageShow);
+    initTransport();
+    console.log('▶️ Activity tracker started');
 }
 
-// ===================================================================
-// PAGE VIEW TRACKING
-// ===================================================================
-
 /**
- * Track page view event
+ * Stop tracking: detach every listener and stop the transport timers
+ * Recorded events are kept and start() resumes tracking
+ * @param {Object} options - Pass { flush: false } to skip sending pending events
  */
-function trackPageView() {
-    const pageViewEvent = {
-        timestamp: new Date().toISOString(),
-        type_of_event: 'PAGE_VIEW',
-        event_object: 'PAGE',
-        url: window.location.href,
-        pathname: window.location.pathname,
-        referrer: document.referrer || 'Direct',
-        title: document.title,
-        viewport: `${window.innerWidth}x${window.innerHeight}`
-    };
+function stop({ flush = true } = {}) {
+    const state = ActivityTracker.state;
+    if (state !== 'running' && state !== 'paused') {
+        return;
+    }
     
-    // Add to events array
-    ActivityTracker.events.push(pageViewEvent);
+    ActivityTracker.plugins.forEach(entry => deactivatePlugin(entry));
+    window.removeEventListener('pagehide', handlePageUnload);
+    window.removeEventListener('pageshow', handlePageShow);
+    stopTransport(flush);
     
-    // Log to console
-    if (ActivityTracker.config.logToConsole) {
-        console.log('%c📄 PAGE VIEW', 'background: #2196F3; color: white; padding: 4px 8px; border-radius: 3px;');
-        console.log('Timestamp:', pageViewEvent.timestamp);
-        console.log('Event Type:', pageViewEvent.type_of_event);
-        console.log('Event Object:', pageViewEvent.event_object);
-        console.log('URL:', pageViewEvent.url);
-        console.log('Title:', pageViewEvent.title);
-        console.log('---');
+    ActivityTracker.state = 'stopped';
+    console.log('⏹️ Activity tracker stopped');
+}
+
+/**
+ * Pause recording without detaching listeners
+ */
+function pause() {
+    if (ActivityTracker.state === 'running') {
+        ActivityTracker.state = 'paused';
+        console.log('⏸️ Activity tracker paused');
     }
 }
 
-// ===================================================================
-// EVENT LISTENERS REGISTRATION
-// ===================================================================
+/**
+ * Resume recording after pause()
+ */
+function resume() {
+    if (ActivityTracker.state === 'paused') {
+        ActivityTracker.state = 'running';
+        console.log('▶️ Activity tracker resumed');
+    }
+}
 
 /**
- * Register all event listeners for tracking
+ * Stop tracking for good and drop all plugins and recorded events
  */
-function registerEventListeners() {
-    // Track all click events (using event capturing)
-    document.addEventListener('click', handleClickEvent, true);
+function destroy() {
+    stop();
     
-    // Track hover events on interactive elements
-    document.addEventListener('mouseover', handleHoverEvent, true);
+    Array.from(ActivityTracker.plugins.keys()).forEach(name => unregisterPlugin(name));
+    ActivityTracker.events.length = 0;
+    ActivityTracker.transport.pending = [];
+    ActivityTracker.sections.clear();
     
-    // Track scroll events
-    if (ActivityTracker.config.trackScrolling) {
-        window.addEventListener('scroll', throttle(handleScrollEvent, 500));
-    }
+    ActivityTracker.state = 'destroyed';
+    console.log('🗑️ Activity tracker destroyed');
+}
+
+/**
+ * Change configuration at runtime, attaching or detaching listeners as needed
+ * @param {Object} partial - Config values to change (nested objects are merged)
+ */
+function updateConfig(partial) {
+    partial = partial || {};
+    mergeConfig(ActivityTracker.config, partial);
     
-    // Track form interactions
-    if (ActivityTracker.config.trackFormInputs) {
-        document.addEventListener('focus', handleFocusEvent, true);
-        document.addEventListener('blur', handleBlurEvent, true);
-        document.addEventListener('change', handleChangeEvent, true);
-        document.addEventListener('submit', handleSubmitEvent, true);
+    // Cached selectors were built with the old stable attributes (also watched by the observer)
+    if (partial.selectors) {
+        resetSelectorCache();
     }
     
-    // Track keyboard events
-    document.addEventListener('keydown', handleKeyboardEvent, true);
+    if (ActivityTracker.state !== 'running' && ActivityTracker.state !== 'paused') {
+        return;
+    }
     
-    // Track mouse movement (optional - can generate many events)
-    if (ActivityTracker.config.trackMouseMovement) {
-        document.addEventListener('mousemove', throttle(handleMouseMoveEvent, 1000));
+    // Plugins with their own setup pick up changed settings only on restart
+    if (partial.sectionTracking) {
+        restartPlugin('sections');
     }
     
-    // Track viewport resize
-    window.addEventListener('resize', throttle(handleResizeEvent, 500));
+    syncPlugins();
     
-    console.log('✅ All event listeners registered successfully\n');
+    if (partial.transport) {
+        stopTransport();
+        initTransport();
+    }
 }
 
-// ===================================================================
-// CLICK EVENT HANDLER
-// ===================================================================
-
 /**
- * Handle click events on all elements
- * @param {Event} event - The click event
+ * Activate or deactivate each plugin to match the current config
  */
-function handleClickEvent(event) {
-    const element = event.target;
-    
-    // Get event object type
-    const eventObject = getEventObjectType(element);
-    
-    // Create click event object
-    const clickEvent = {
-        timestamp: new Date().toISOString(),
-        type_of_event: 'CLICK',
-        event_object: eventObject,
-        element: {
-            tagName: element.tagName.toLowerCase(),
-            id: element.id || 'N/A',
-            className: element.className || 'N/A',
-            text: element.innerText?.substring(0, 50) || 'N/A',
-            href: element.href || 'N/A',
-            type: element.type || 'N/A'
-        },
-        position: {
-            x: event.clientX,
-            y: event.clientY,
-            pageX: event.pageX,
-            pageY: event.pageY
-        },
-        cssSelector: getCssSelector(element),
-        xpath: getXPath(element),
-        computedStyles: ActivityTracker.config.logDetailedInfo ? getComputedStyleInfo(element) : null
-    };
-    
-    // Add to events array
-    ActivityTracker.events.push(clickEvent);
-    
-    // Log to console
-    if (ActivityTracker.config.logToConsole) {
-        console.log('%c👆 CLICK EVENT', 'background: #FF5722; color: white; padding: 4px 8px; border-radius: 3px;');
-        console.log('Timestamp:', clickEvent.timestamp);
-        console.log('Event Type:', clickEvent.type_of_event);
-        console.log('Event Object:', clickEvent.event_object);
-        console.log('Element:', element);
-        console.table({
-            'Tag': clickEvent.element.tagName,
-            'ID': clickEvent.element.id,
-            'Class': clickEvent.element.className,
-            'Text': clickEvent.element.text,
-            'Position': `(${clickEvent.position.x}, ${clickEvent.position.y})`,
-            'CSS Selector': clickEvent.cssSelector
-        });
-        
-        if (ActivityTracker.config.logDetailedInfo) {
-            console.log('Full Event Data:', clickEvent);
+function syncPlugins() {
+    ActivityTracker.plugins.forEach(entry => {
+        if (isPluginEnabled(entry.plugin)) {
+            activatePlugin(entry);
+        } else {
+            deactivatePlugin(entry);
         }
-        console.log('---');
-    }
+    });
 }
 
-// ===================================================================
-// HOVER EVENT HANDLER
-// ===================================================================
-
 /**
- * Handle hover events on elements
- * @param {Event} event - The mouseover event
+ * Deactivate a plugin so the next syncPlugins() runs its setup again
+ * @param {string} name - Plugin name
  */
-function handleHoverEvent(event) {
-    const element = event.target;
-    
-    // Only track hover on interactive elements
-    const interactiveTags = ['a', 'button', 'input', 'select', 'textarea'];
-    if (!interactiveTags.includes(element.tagName.toLowerCase())) {
-        return;
-    }
-    
-    const eventObject = getEventObjectType(element);
-    
-    const hoverEvent = {
-        timestamp: new Date().toISOString(),
-        type_of_event: 'HOVER',
-        event_object: eventObject,
-        element: {
-            tagName: element.tagName.toLowerCase(),
-            id: element.id || 'N/A',
-            className: element.className || 'N/A'
-        },
-        cssSelector: getCssSelector(element)
-    };
-    
-    ActivityTracker.events.push(hoverEvent);
-    
-    if (ActivityTracker.config.logToConsole) {
-        console.log('%c🖱️ HOVER', 'background: #9C27B0; color: white; padding: 4px 8px; border-radius: 3px;');
-        console.log('Timestamp:', hoverEvent.timestamp);
-        console.log('Event Type:', hoverEvent.type_of_event);
-        console.log('Event Object:', hoverEvent.event_object);
-        console.log('Element:', element.tagName, getCssSelector(element));
-        console.log('---');
+function restartPlugin(name) {
+    const entry = ActivityTracker.plugins.get(name);
+    if (entry) {
+        deactivatePlugin(entry);
     }
 }
 
+/**
+ * Get the tracker state
+ * @returns {string} 'idle', 'running', 'paused', 'stopped' or 'destroyed'
+ */
+function getState() {
+    return ActivityTracker.state;
+}
+
 // ===================================================================
-// SCROLL EVENT HANDLER
+// SESSION ID GENERATOR
 // ===================================================================
 
 /**
- * Handle scroll events
+ * Generate unique session ID
+ * @returns {string} Unique session identifier
  */
-function handleScrollEvent() {
-    const scrollEvent = {
-        timestamp: new Date().toISOString(),
-        type_of_event: 'SCROLL',
-        event_object: 'PAGE',
-        position: {
-            scrollY: window.scrollY,
-            scrollX: window.scrollX,
-            scrollPercentage: Math.round((window.scrollY / (document.body.scrollHeight - window.innerHeight)) * 100)
-        },
-        documentHeight: document.body.scrollHeight,
-        viewportHeight: window.innerHeight
-    };
-    
-    ActivityTracker.events.push(scrollEvent);
-    
-    if (ActivityTracker.config.logToConsole) {
-        console.log('%c📜 SCROLL', 'background: #00BCD4; color: white; padding: 4px 8px; border-radius: 3px;');
-        console.log('Timestamp:', scrollEvent.timestamp);
-        console.log('Event Type:', scrollEvent.type_of_event);
-        console.log('Event Object:', scrollEvent.event_object);
-        console.log('Position:', `${scrollEvent.position.scrollY}px (${scrollEvent.position.scrollPercentage}%)`);
-        console.log('---');
-    }
+function generateSessionId() {
+    // Generate random session ID
+    return 'session_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+}
+
+/**
+ * Generate unique event ID
+ * @returns {string} Unique event identifier
+ */
+function generateEventId() {
+    return 'evt_' + Date.now().toString(36) + '_' + Math.random().toString(36).substr(2, 9);
 }
 
 // ===================================================================
-// FORM EVENT HANDLERS
+// SESSION PERSISTENCE
 // ===================================================================
 
 /**
- * Handle focus event on form elements
- * @param {Event} event - The focus event
+ * Read a cookie value
+ * @param {string} name - Cookie name
+ * @returns {string|null} Decoded value or null
  */
-function handleFocusEvent(event) {
-    const element = event.target;
-    
-    if (!['input', 'textarea', 'select'].includes(element.tagName.toLowerCase())) {
-        return;
+function getCookie(name) {
+    const match = document.cookie.split('; ').find(c => c.startsWith(name + '='));
+    return match ? decodeURIComponent(match.substring(name.length + 1)) : null;
+}
+
+/**
+ * Write a first-party cookie
+ * @param {string} name - Cookie name
+ * @param {string} value - Cookie value
+ * @param {number} maxAgeSeconds - Lifetime in seconds (omit for a session cookie)
+ */
+function setCookie(name, value, maxAgeSeconds) {
+    let cookie = `${name}=${encodeURIComponent(value)}; path=/; SameSite=Lax`;
+    if (maxAgeSeconds !== undefined) {
+        cookie += `; max-age=${maxAgeSeconds}`;
+    }
+    document.cookie = cookie;
+}
+
+/**
+ * Load the persisted session record
+ * @returns {Object|null} Stored session or null
+ */
+function loadStoredSession() {
+    const sessionConfig = ActivityTracker.config.session;
+    try {
+        const stored = sessionConfig.persistence === 'cookie'
+            ? getCookie(sessionConfig.storageKey.replace(/\./g, '_'))
+            : sessionStorage.getItem(sessionConfig.storageKey);
+        return stored ? JSON.parse(stored) : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Persist the current session record
+ * @param {Object} record - Session record
+ */
+function saveStoredSession(record) {
+    const sessionConfig = ActivityTracker.config.session;
+    if (!canPersist()) {
+        return;
+    }
+    try {
+        if (sessionConfig.persistence === 'cookie') {
+            setCookie(sessionConfig.storageKey.replace(/\./g, '_'), JSON.stringify(record));
+        } else {
+            sessionStorage.setItem(sessionConfig.storageKey, JSON.stringify(record));
+        }
+    } catch (error) {
+        // Storage unavailable - the session simply won't survive this page
+    }
+}
+
+/**
+ * Get (or create) the long-lived anonymous visitor ID
+ * @returns {string} Visitor identifier
+ */
+function getVisitorId() {
+    const key = ActivityTracker.config.session.visitorStorageKey;
+    if (!canPersist()) {
+        return null;
+    }
+    try {
+        let visitorId = localStorage.getItem(key);
+        if (!visitorId) {
+            visitorId = 'visitor_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+            localStorage.setItem(key, visitorId);
+        }
+        return visitorId;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Get the campaign of the current URL from its UTM parameters
+ * @returns {string|null} Campaign key or null when the URL has none
+ */
+function getCampaign() {
+    const params = new URLSearchParams(window.location.search);
+    const values = ActivityTracker.config.session.campaignParams.map(name => params.get(name) || '');
+    return values.some(v => v) ? values.join('|') : null;
+}
+
+/**
+ * Get the local calendar day for a time
+ * @param {number} time - Time in ms
+ * @returns {string} Day as YYYY-M-D
+ */
+function getLocalDay(time) {
+    const date = new Date(time);
+    return `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`;
+}
+
+/**
+ * Check whether a stored session must be replaced by a new one
+ * @param {Object} record - Stored session
+ * @param {number} now - Current time in ms
+ * @param {string|null} campaign - Campaign of the current page
+ * @returns {string|null} Rollover reason, or null to keep the session
+ */
+function getSessionRolloverReason(record, now, campaign) {
+    const sessionConfig = ActivityTracker.config.session;
+    
+    if (now - record.lastActivity > sessionConfig.idleTimeout) {
+        return 'idle timeout';
+    }
+    if (sessionConfig.rolloverAtMidnight && getLocalDay(record.lastActivity) !== getLocalDay(now)) {
+        return 'midnight';
+    }
+    if (campaign && campaign !== record.campaign) {
+        return 'campaign change';
+    }
+    return null;
+}
+
+/**
+ * Create a fresh session record
+ * @param {number} now - Current time in ms
+ * @param {string|null} campaign - Campaign of the current page
+ * @returns {Object} New session record
+ */
+function createSessionRecord(now, campaign) {
+    return {
+        sessionId: generateSessionId(),
+        startTime: new Date(now).toISOString(),
+        lastActivity: now,
+        pageSequence: 0,
+        campaign: campaign,
+        eventCount: 0,
+        eventCounts: {},
+        engagedTime: 0
+    };
+}
+
+/**
+ * Copy a session record into ActivityTracker.session
+ * @param {Object} record - Session record
+ */
+function applySessionRecord(record) {
+    ActivityTracker.sessionRecord = record;
+    ActivityTracker.session.sessionId = record.sessionId;
+    ActivityTracker.session.startTime = record.startTime;
+    ActivityTracker.session.pageSequence = record.pageSequence;
+}
+
+/**
+ * Resume the stored session or start a new one for this page load
+ */
+function startOrResumeSession() {
+    const now = Date.now();
+    const campaign = getCampaign();
+    let record = loadStoredSession();
+    
+    if (!record || getSessionRolloverReason(record, now, campaign)) {
+        record = createSessionRecord(now, campaign);
     }
     
-    const eventObject = getEventObjectType(element);
+    record.pageSequence += 1;
+    record.lastActivity = now;
     
-    const focusEvent = {
+    ActivityTracker.session.visitorId = getVisitorId();
+    applySessionRecord(record);
+    saveStoredSession(record);
+}
+
+/**
+ * Update session totals for a new event, rolling over after inactivity or at midnight
+ * @param {Object} event - The event being recorded
+ */
+function touchSession(event) {
+    let record = ActivityTracker.sessionRecord;
+    if (!record) {
+        return;
+    }
+    
+    const now = Date.now();
+    const reason = getSessionRolloverReason(record, now, record.campaign);
+    if (reason) {
+        // Deliver what belongs to the old session before switching
+        flushEvents();
+        record = createSessionRecord(now, record.campaign);
+        record.pageSequence = 1;
+        applySessionRecord(record);
+        console.log(`🔄 New session started (${reason}):`, record.sessionId);
+    }
+    
+    record.lastActivity = now;
+    record.eventCount += 1;
+    record.eventCounts[event.type_of_event] = (record.eventCounts[event.type_of_event] || 0) + 1;
+    scheduleSessionSave();
+}
+
+/**
+ * Save the session record at most once per config.session.saveInterval
+ * Events recorded while the page is hidden are saved right away (it may not come back)
+ */
+function scheduleSessionSave() {
+    const saveState = ActivityTracker.sessionSave;
+    const sinceSave = Date.now() - saveState.savedAt;
+    const interval = ActivityTracker.config.session.saveInterval;
+    
+    if (document.visibilityState === 'hidden' || sinceSave >= interval) {
+        saveSessionNow();
+    } else if (!saveState.timer) {
+        saveState.timer = setTimeout(saveSessionNow, interval - sinceSave);
+    }
+}
+
+/**
+ * Write the session record to storage and cancel a scheduled save
+ */
+function saveSessionNow() {
+    const saveState = ActivityTracker.sessionSave;
+    clearTimeout(saveState.timer);
+    saveState.timer = null;
+    saveState.savedAt = Date.now();
+    if (ActivityTracker.sessionRecord) {
+        saveStoredSession(ActivityTracker.sessionRecord);
+    }
+}
+
+// ===================================================================
+// EVENT RECORDING
+// ===================================================================
+
+/**
+ * Store a tracked event and hand it to the transport layer
+ * @param {Object} event - The event object built by a handler
+ * @param {Element} element - Element the event came from (for opt-out and masking rules)
+ * @returns {Object|null} The stored event, or null if it was dropped
+ */
+function recordEvent(event, element = null) {
+    if (ActivityTracker.state !== 'running') {
+        return null;
+    }
+    
+    // Elements inside [data-track-ignore] are never tracked
+    if (isElementIgnored(element)) {
+        return null;
+    }
+    
+    event.eventId = event.eventId || generateEventId();
+    
+    // Events from same-origin iframes carry the selectors of the frames around them
+    const framePath = element && element.nodeType ? getFramePath(element) : null;
+    if (framePath) {
+        event.framePath = framePath;
+    }
+    
+    // Let plugins add or alter fields, or drop the event
+    event = enrichEvent(event);
+    if (!event) {
+        return null;
+    }
+    
+    event = redactEvent(event, element);
+    
+    // Tag with the consent category, or drop when it wasn't granted
+    event = applyConsent(event);
+    if (!event) {
+        return null;
+    }
+    
+    // Merge into the previous event when grouping applies; it keeps its envelope and sequence
+    const merged = coalesceEvent(event);
+    if (merged) {
+        // Still activity, so the session doesn't time out, but not another event
+        if (ActivityTracker.sessionRecord) {
+            ActivityTracker.sessionRecord.lastActivity = Date.now();
+            scheduleSessionSave();
+        }
+        return merged;
+    }
+    
+    touchSession(event);
+    applyEnvelope(event);
+    addBreadcrumb(event);
+    
+    if (ActivityTracker.config.debug) {
+        const errors = validateEvent(event);
+        if (errors.length > 0) {
+            console.warn(`⚠️ ${event.type_of_event} event does not match schema v${SCHEMA_VERSION}:`, errors, event);
+        }
+    }
+    
+    addToBuffer(event);
+    enqueueForTransport(event);
+    
+    return event;
+}
+
+/**
+ * Record a custom business event
+ * @param {string} name - Event name (e.g. 'downloaded syllabus')
+ * @param {Object} properties - Extra data stored with the event
+ * @returns {Object|null} The stored event, or null if a plugin dropped it
+ */
+function track(name, properties = {}) {
+    if (typeof name !== 'string' || name.trim() === '') {
+        throw new TypeError('track() needs a non-empty event name');
+    }
+    
+    const customEvent = recordEvent({
         timestamp: new Date().toISOString(),
-        type_of_event: 'FOCUS',
-        event_object: eventObject,
-        element: {
-            tagName: element.tagName.toLowerCase(),
-            id: element.id || 'N/A',
-            name: element.name || 'N/A',
-            type: element.type || 'N/A'
+        type_of_event: 'CUSTOM',
+        event_object: 'CUSTOM',
+        name: name,
+        properties: { ...properties }
+    });
+    
+    if (customEvent && ActivityTracker.config.logToConsole) {
+        console.log('%c⭐ CUSTOM EVENT', 'background: #E91E63; color: white; padding: 4px 8px; border-radius: 3px;');
+        console.log('Timestamp:', customEvent.timestamp);
+        console.log('Name:', customEvent.name);
+        console.log('Properties:', customEvent.properties);
+        console.log('---');
+    }
+    
+    return customEvent;
+}
+
+// ===================================================================
+// EVENT SCHEMA
+// ===================================================================
+
+/**
+ * Current event schema version
+ * Version 1 is the original ad hoc shape: no envelope and 'N/A' for
+ * missing values. See README "Event schema" for the migration notes.
+ */
+const SCHEMA_VERSION = 2;
+
+const NULLABLE_STRING = { type: ['string', 'null'] };
+
+// Fields shared by every event
+const ENVELOPE_SCHEMA = {
+    type: 'object',
+    required: ['eventId', 'schemaVersion', 'timestamp', 'type_of_event', 'event_object', 'sessionId', 'sequence', 'monotonicTime', 'pageUrl'],
+    properties: {
+        eventId: { type: 'string' },
+        schemaVersion: { type: 'integer', enum: [SCHEMA_VERSION] },
+        timestamp: { type: 'string', format: 'date-time' },
+        type_of_event: { type: 'string' },
+        event_object: { type: 'string' },
+        sessionId: NULLABLE_STRING,                          // null for anonymous events
+        sequence: { type: 'integer', minimum: 1 },           // Position of the event in its session
+        monotonicTime: { type: ['number', 'null'], minimum: 0 }, // performance.now() offset; null when migrated
+        pageUrl: { type: 'string' },
+        consentCategory: { type: 'string' },
+        count: { type: 'integer', minimum: 1 },              // Set on coalesced events
+        firstTimestamp: { type: 'string', format: 'date-time' },
+        lastTimestamp: { type: 'string', format: 'date-time' },
+        range: { type: 'object' },
+        framePath: { type: 'array' }                         // Selectors of the iframes around the element
+    }
+};
+
+// Element description shared by element-based events
+const ELEMENT_SCHEMA = {
+    type: 'object',
+    required: ['tagName', 'id'],
+    properties: {
+        tagName: { type: 'string' },
+        id: NULLABLE_STRING,
+        className: NULLABLE_STRING,
+        name: NULLABLE_STRING,
+        text: NULLABLE_STRING,
+        href: NULLABLE_STRING,
+        type: NULLABLE_STRING,
+        value: NULLABLE_STRING
+    }
+};
+
+// Fields of events that target a DOM element
+const ELEMENT_EVENT_FIELDS = {
+    required: ['element', 'cssSelector', 'xpath'],
+    properties: {
+        element: ELEMENT_SCHEMA,
+        cssSelector: NULLABLE_STRING,                        // null only in migrated v1 events
+        xpath: NULLABLE_STRING
+    }
+};
+
+// Pointer position of a click (viewport and document coordinates)
+const CLICK_POSITION_SCHEMA = {
+    type: 'object',
+    required: ['x', 'y', 'pageX', 'pageY'],
+    properties: {
+        x: { type: 'number' },
+        y: { type: 'number' },
+        pageX: { type: 'number' },
+        pageY: { type: 'number' }
+    }
+};
+
+// Fields of events derived from a click (RAGE_CLICK, DEAD_CLICK, ERROR_CLICK)
+const FRUSTRATION_FIELDS = {
+    required: [...ELEMENT_EVENT_FIELDS.required, 'position', 'clickTimestamp'],
+    properties: {
+        ...ELEMENT_EVENT_FIELDS.properties,
+        position: CLICK_POSITION_SCHEMA,
+        clickTimestamp: { type: 'string', format: 'date-time' }
+    }
+};
+
+// Fields of FOCUS, BLUR and CHANGE (formSelector links the field to its form)
+const FORM_FIELD_EVENT_FIELDS = {
+    required: [...ELEMENT_EVENT_FIELDS.required, 'formSelector'],
+    properties: {
+        ...ELEMENT_EVENT_FIELDS.properties,
+        formSelector: NULLABLE_STRING                        // null outside a form
+    }
+};
+
+// Fields of events that target a whole form (FORM_SUBMIT, FORM_ABANDON)
+const FORM_EVENT_FIELDS = {
+    required: ['form', 'cssSelector', 'xpath'],
+    properties: {
+        form: {
+            type: 'object',
+            required: ['id', 'name', 'action', 'method'],
+            properties: {
+                id: NULLABLE_STRING,
+                name: NULLABLE_STRING,
+                action: NULLABLE_STRING,
+                method: NULLABLE_STRING
+            }
+        },
+        cssSelector: NULLABLE_STRING,
+        xpath: NULLABLE_STRING
+    }
+};
+
+// Fields of MEDIA_* events (times in seconds)
+const MEDIA_FIELDS = {
+    required: ['element', 'cssSelector', 'xpath', 'media', 'watchedSeconds', 'watchedPercent'],
+    properties: {
+        element: ELEMENT_SCHEMA,
+        cssSelector: NULLABLE_STRING,
+        xpath: NULLABLE_STRING,
+        media: {
+            type: 'object',
+            required: ['src', 'currentSrc', 'duration', 'currentTime', 'playbackRate', 'muted'],
+            properties: {
+                src: NULLABLE_STRING,
+                currentSrc: NULLABLE_STRING,
+                duration: { type: ['number', 'null'], minimum: 0 },   // null while unknown or for streams
+                currentTime: { type: 'number', minimum: 0 },
+                playbackRate: { type: 'number' },
+                muted: { type: 'boolean' }
+            }
         },
-        cssSelector: getCssSelector(element)
+        watchedSeconds: { type: 'number', minimum: 0 },               // Distinct content played
+        watchedPercent: { type: ['integer', 'null'], minimum: 0 }
+    }
+};
+
+const PAGE_VIEW_FIELDS = {
+    required: ['url', 'pathname', 'hash', 'referrer', 'title', 'viewport'],
+    properties: {
+        url: { type: 'string' },
+        pathname: { type: 'string' },
+        hash: NULLABLE_STRING,
+        referrer: NULLABLE_STRING,
+        title: { type: 'string' },
+        viewport: { type: 'string' },
+        trigger: { type: 'string' },
+        timeOnPreviousView: { type: 'number', minimum: 0 }
+    }
+};
+
+// Fields specific to each type_of_event
+const EVENT_SCHEMAS = {
+    PAGE_VIEW: PAGE_VIEW_FIELDS,
+    VIRTUAL_PAGE_VIEW: {
+        required: [...PAGE_VIEW_FIELDS.required, 'trigger', 'timeOnPreviousView'],
+        properties: PAGE_VIEW_FIELDS.properties
+    },
+    CLICK: {
+        required: [...ELEMENT_EVENT_FIELDS.required, 'position', 'link'],
+        properties: {
+            ...ELEMENT_EVENT_FIELDS.properties,
+            position: CLICK_POSITION_SCHEMA,
+            link: {
+                type: ['object', 'null'],                    // null when no link was clicked
+                required: ['type', 'href', 'domain', 'extension'],
+                properties: {
+                    type: { type: 'string', enum: ['internal', 'anchor', 'outbound', 'download', 'mailto', 'tel'] },
+                    href: NULLABLE_STRING,                   // null for mailto/tel
+                    domain: NULLABLE_STRING,
+                    extension: NULLABLE_STRING               // File extension of downloads
+                }
+            },
+            computedStyles: { type: ['object', 'null'] }
+        }
+    },
+    RAGE_CLICK: {
+        required: [...FRUSTRATION_FIELDS.required, 'clickCount', 'duration'],
+        properties: {
+            ...FRUSTRATION_FIELDS.properties,
+            clickCount: { type: 'integer', minimum: 2 },
+            duration: { type: 'number', minimum: 0 }       // ms from first to last click
+        }
+    },
+    DEAD_CLICK: {
+        required: [...FRUSTRATION_FIELDS.required, 'reason', 'timeout'],
+        properties: {
+            ...FRUSTRATION_FIELDS.properties,
+            reason: { type: 'string', enum: ['nonInteractive', 'noResponse'] },
+            timeout: { type: 'number', minimum: 0 }
+        }
+    },
+    ERROR_CLICK: {
+        required: [...FRUSTRATION_FIELDS.required, 'error', 'delay'],
+        properties: {
+            ...FRUSTRATION_FIELDS.properties,
+            error: {
+                type: 'object',
+                required: ['message', 'source', 'line'],
+                properties: {
+                    message: { type: 'string' },
+                    source: NULLABLE_STRING,
+                    line: { type: ['integer', 'null'] }
+                }
+            },
+            delay: { type: 'number', minimum: 0 }          // ms from the click to the error
+        }
+    },
+    HOVER: ELEMENT_EVENT_FIELDS,
+    FOCUS: {
+        required: [...FORM_FIELD_EVENT_FIELDS.required, 'visit'],
+        properties: {
+            ...FORM_FIELD_EVENT_FIELDS.properties,
+            visit: { type: ['integer', 'null'], minimum: 1 }          // 1 on the first focus, more on revisits
+        }
+    },
+    BLUR: {
+        required: [...FORM_FIELD_EVENT_FIELDS.required, 'timeInField', 'corrections'],
+        properties: {
+            ...FORM_FIELD_EVENT_FIELDS.properties,
+            timeInField: { type: ['number', 'null'], minimum: 0 },    // ms since the matching FOCUS
+            corrections: { type: ['integer', 'null'], minimum: 0 }    // Backspace/Delete presses while focused
+        }
+    },
+    CHANGE: FORM_FIELD_EVENT_FIELDS,
+    FORM_SUBMIT: {
+        required: [...FORM_EVENT_FIELDS.required, 'timeSpent', 'fieldsTouched'],
+        properties: {
+            ...FORM_EVENT_FIELDS.properties,
+            timeSpent: { type: ['number', 'null'], minimum: 0 },      // ms since the first field was focused
+            fieldsTouched: { type: ['integer', 'null'], minimum: 0 }
+        }
+    },
+    FORM_ABANDON: {
+        required: [...FORM_EVENT_FIELDS.required, 'lastField', 'timeSpent', 'fieldsTouched'],
+        properties: {
+            ...FORM_EVENT_FIELDS.properties,
+            lastField: {
+                type: 'object',
+                required: ['name', 'cssSelector'],
+                properties: {
+                    name: { type: 'string' },
+                    cssSelector: NULLABLE_STRING
+                }
+            },
+            timeSpent: { type: 'number', minimum: 0 },
+            fieldsTouched: { type: 'integer', minimum: 1 }
+        }
+    },
+    MEDIA_PLAY: MEDIA_FIELDS,
+    MEDIA_PAUSE: MEDIA_FIELDS,
+    MEDIA_ENDED: MEDIA_FIELDS,
+    MEDIA_RATE_CHANGE: MEDIA_FIELDS,
+    MEDIA_SEEK: {
+        required: [...MEDIA_FIELDS.required, 'from', 'to'],
+        properties: {
+            ...MEDIA_FIELDS.properties,
+            from: { type: 'number', minimum: 0 },
+            to: { type: 'number', minimum: 0 }
+        }
+    },
+    MEDIA_MUTE: {
+        required: [...MEDIA_FIELDS.required, 'muted'],
+        properties: { ...MEDIA_FIELDS.properties, muted: { type: 'boolean' } }
+    },
+    MEDIA_PROGRESS: {
+        required: [...MEDIA_FIELDS.required, 'milestone'],
+        properties: { ...MEDIA_FIELDS.properties, milestone: { type: 'integer', minimum: 0 } }
+    },
+    MEDIA_SUMMARY: {
+        required: [...MEDIA_FIELDS.required, 'plays', 'newWatchedSeconds', 'milestones'],
+        properties: {
+            ...MEDIA_FIELDS.properties,
+            plays: { type: 'integer', minimum: 0 },                   // Since the previous summary
+            newWatchedSeconds: { type: 'number', minimum: 0 },        // Watched since the previous summary
+            milestones: { type: 'array' }
+        }
+    },
+    SCROLL: {
+        required: ['position', 'documentHeight', 'viewportHeight'],
+        properties: {
+            position: {
+                type: 'object',
+                required: ['scrollY', 'scrollX', 'scrollPercentage'],
+                properties: {
+                    scrollY: { type: 'number' },
+                    scrollX: { type: 'number' },
+                    scrollPercentage: { type: 'number', minimum: 0 }
+                }
+            },
+            documentHeight: { type: 'number' },
+            viewportHeight: { type: 'number' }
+        }
+    },
+    SCROLL_DEPTH: {
+        required: ['threshold', 'maxDepth', 'final', 'documentHeight', 'viewportHeight'],
+        properties: {
+            threshold: { type: ['number', 'null'] },
+            maxDepth: { type: 'number', minimum: 0 },
+            final: { type: 'boolean' },
+            documentHeight: { type: 'number' },
+            viewportHeight: { type: 'number' }
+        }
+    },
+    SECTION_VIEW: {
+        required: ['section', 'cssSelector', 'visibleRatio', 'viewCount', 'totalVisibleTime'],
+        properties: {
+            section: { type: 'string' },
+            cssSelector: { type: 'string' },
+            visibleRatio: { type: 'number', minimum: 0 },
+            viewCount: { type: 'integer', minimum: 1 },
+            totalVisibleTime: { type: 'number', minimum: 0 }
+        }
+    },
+    KEYBOARD: {
+        required: ['key', 'code', 'ctrlKey', 'shiftKey', 'altKey'],
+        properties: {
+            key: { type: 'string' },
+            code: { type: 'string' },
+            ctrlKey: { type: 'boolean' },
+            shiftKey: { type: 'boolean' },
+            altKey: { type: 'boolean' }
+        }
+    },
+    MOUSE_MOVE: {
+        required: ['position'],
+        properties: {
+            position: {
+                type: 'object',
+                required: ['x', 'y'],
+                properties: { x: { type: 'number' }, y: { type: 'number' } }
+            }
+        }
+    },
+    RESIZE: {
+        required: ['viewport'],
+        properties: {
+            viewport: {
+                type: 'object',
+                required: ['width', 'height'],
+                properties: { width: { type: 'number' }, height: { type: 'number' } }
+            }
+        }
+    },
+    HEARTBEAT: {
+        required: ['engagedTime', 'sessionEngagedTime'],
+        properties: {
+            engagedTime: { type: 'number', minimum: 0 },         // Engaged ms in this page view so far
+            sessionEngagedTime: { type: ['number', 'null'], minimum: 0 } // Engaged ms across the session
+        }
+    },
+    ENGAGEMENT: {
+        required: ['engagedTime', 'sessionEngagedTime', 'pageDuration', 'persisted'],
+        properties: {
+            engagedTime: { type: 'number', minimum: 0 },
+            sessionEngagedTime: { type: ['number', 'null'], minimum: 0 },
+            pageDuration: { type: 'number', minimum: 0 },        // Wall-clock ms of the page view
+            persisted: { type: 'boolean' }                       // Page kept in the back/forward cache
+        }
+    },
+    PERFORMANCE: {
+        required: ['pageViewId', 'navigation', 'vitals', 'longTasks', 'resources'],
+        properties: {
+            pageViewId: NULLABLE_STRING,                     // eventId of the PAGE_VIEW this load belongs to
+            navigation: {
+                type: ['object', 'null'],                    // null without Navigation Timing support
+                required: ['type', 'dns', 'connect', 'ttfb', 'domContentLoaded', 'load', 'transferSize'],
+                properties: {
+                    type: { type: 'string' },
+                    dns: { type: 'number', minimum: 0 },
+                    connect: { type: 'number', minimum: 0 },
+                    ttfb: { type: 'number', minimum: 0 },
+                    domContentLoaded: { type: 'number', minimum: 0 },
+                    load: { type: ['number', 'null'], minimum: 0 },
+                    transferSize: { type: ['number', 'null'], minimum: 0 }
+                }
+            },
+            vitals: {
+                type: 'object',
+                required: ['fcp', 'lcp', 'lcpElement', 'cls', 'inp'],
+                properties: {
+                    fcp: { type: ['number', 'null'], minimum: 0 },
+                    lcp: { type: ['number', 'null'], minimum: 0 },
+                    lcpElement: NULLABLE_STRING,
+                    cls: { type: ['number', 'null'], minimum: 0 },
+                    inp: { type: ['number', 'null'], minimum: 0 }
+                }
+            },
+            longTasks: {
+                type: ['object', 'null'],                    // null when long tasks can't be observed
+                required: ['count', 'totalDuration', 'longest', 'blockingTime'],
+                properties: {
+                    count: { type: 'integer', minimum: 0 },
+                    totalDuration: { type: 'number', minimum: 0 },
+                    longest: { type: 'number', minimum: 0 },
+                    blockingTime: { type: 'number', minimum: 0 }
+                }
+            },
+            resources: {
+                type: 'object',
+                required: ['count', 'transferSize', 'byType', 'slowest'],
+                properties: {
+                    count: { type: 'integer', minimum: 0 },
+                    transferSize: { type: 'number', minimum: 0 },
+                    byType: { type: 'object' },
+                    slowest: { type: 'array' }
+                }
+            }
+        }
+    },
+    ERROR: {
+        required: ['kind', 'message', 'stack', 'source', 'line', 'column', 'cssSelector', 'breadcrumbs'],
+        properties: {
+            kind: { type: 'string', enum: ['error', 'unhandledrejection', 'resource'] },
+            message: { type: 'string' },
+            stack: NULLABLE_STRING,
+            source: NULLABLE_STRING,                         // Script URL, or URL of the failed resource
+            line: { type: ['integer', 'null'] },
+            column: { type: ['integer', 'null'] },
+            cssSelector: NULLABLE_STRING,                    // Element of a failed resource
+            breadcrumbs: { type: 'array' }                   // Interactions before the error, oldest first
+        }
+    },
+    CUSTOM: {
+        required: ['name', 'properties'],
+        properties: {
+            name: { type: 'string' },
+            properties: { type: 'object' }
+        }
+    }
+};
+
+/**
+ * Get the full JSON Schema (envelope plus type fields) for an event type
+ * @param {string} eventType - type_of_event
+ * @returns {Object} JSON Schema
+ */
+function getEventSchema(eventType) {
+    const typeSchema = EVENT_SCHEMAS[eventType] || { required: [], properties: {} };
+    return {
+        $schema: 'https://json-schema.org/draft/2020-12/schema',
+        title: `${eventType} event (schema v${SCHEMA_VERSION})`,
+        type: 'object',
+        required: [...ENVELOPE_SCHEMA.required, ...typeSchema.required],
+        properties: {
+            ...ENVELOPE_SCHEMA.properties,
+            ...typeSchema.properties,
+            type_of_event: { type: 'string', const: eventType }
+        }
+    };
+}
+
+/**
+ * Get the JSON type name of a value
+ * @param {*} value - Value to check
+ * @returns {string} 'null', 'array', 'integer', 'number', 'string', 'boolean' or 'object'
+ */
+function getJsonType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+/**
+ * Validate a value against the subset of JSON Schema used above
+ * @param {*} value - Value to validate
+ * @param {Object} schema - Schema
+ * @param {string} path - Path of the value (for messages)
+ * @returns {Array<string>} Problems found
+ */
+function validateAgainstSchema(value, schema, path) {
+    const errors = [];
+    const actualType = getJsonType(value);
+    
+    if (schema.type) {
+        const allowed = Array.isArray(schema.type) ? schema.type : [schema.type];
+        const matches = allowed.includes(actualType) || (actualType === 'integer' && allowed.includes('number'));
+        if (!matches) {
+            return [`${path} should be ${allowed.join(' or ')}, got ${actualType}`];
+        }
+    }
+    if (schema.const !== undefined && value !== schema.const) {
+        errors.push(`${path} should be ${JSON.stringify(schema.const)}`);
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path} should be one of ${JSON.stringify(schema.enum)}`);
+    }
+    if (schema.minimum !== undefined && typeof value === 'number' && value < schema.minimum) {
+        errors.push(`${path} should be >= ${schema.minimum}`);
+    }
+    if (schema.format === 'date-time' && typeof value === 'string' && Number.isNaN(Date.parse(value))) {
+        errors.push(`${path} should be an ISO date-time`);
+    }
+    
+    if (actualType === 'object') {
+        (schema.required || []).forEach(key => {
+            if (!(key in value)) {
+                errors.push(`${path}.${key} is required`);
+            }
+        });
+        Object.keys(schema.properties || {}).forEach(key => {
+            if (value[key] !== undefined) {
+                errors.push(...validateAgainstSchema(value[key], schema.properties[key], `${path}.${key}`));
+            }
+        });
+    }
+    
+    return errors;
+}
+
+/**
+ * Validate an event against its schema
+ * @param {Object} event - The event
+ * @returns {Array<string>} Problems found (empty when valid)
+ */
+function validateEvent(event) {
+    // Anonymous page views are reduced on purpose; only the type is checked
+    if (event.consentCategory === 'anonymous') {
+        return validateAgainstSchema(event, { type: 'object', required: ['type_of_event', 'timestamp'] }, 'event');
+    }
+    return validateAgainstSchema(event, getEventSchema(event.type_of_event), 'event');
+}
+
+/**
+ * Add the common envelope fields to an event
+ * @param {Object} event - The event
+ */
+function applyEnvelope(event) {
+    const anonymous = event.consentCategory === 'anonymous';
+    
+    event.schemaVersion = SCHEMA_VERSION;
+    event.sessionId = anonymous ? null : ActivityTracker.session.sessionId;
+    event.sequence = ActivityTracker.sessionRecord ? ActivityTracker.sessionRecord.eventCount : ActivityTracker.events.length + 1;
+    event.monotonicTime = Math.round(performance.now() * 10) / 10;
+    event.pageUrl = anonymous ? window.location.pathname : window.location.href;
+}
+
+/**
+ * Convert a version 1 event (no envelope, 'N/A' placeholders) to the current schema
+ * @param {Object} event - Legacy event
+ * @param {string|null} sessionId - Session the event belongs to
+ * @param {number} sequence - Position of the event in its session
+ * @returns {Object} Migrated event
+ */
+function migrateEvent(event, sessionId, sequence) {
+    if (event.schemaVersion === SCHEMA_VERSION) {
+        return event;
+    }
+    
+    const replacePlaceholders = value => {
+        if (value === 'N/A') return null;
+        if (Array.isArray(value)) return value.map(replacePlaceholders);
+        if (value && typeof value === 'object') {
+            const result = {};
+            Object.keys(value).forEach(key => {
+                result[key] = replacePlaceholders(value[key]);
+            });
+            return result;
+        }
+        return value;
+    };
+    
+    const migrated = replacePlaceholders(event);
+    if (migrated.referrer === 'Direct') {
+        migrated.referrer = null;
+    }
+    
+    // Fields v1 never recorded for this type become null
+    const typeSchema = EVENT_SCHEMAS[migrated.type_of_event];
+    if (typeSchema) {
+        typeSchema.required.forEach(key => {
+            if (!(key in migrated)) {
+                migrated[key] = null;
+            }
+        });
+    }
+    
+    return {
+        eventId: migrated.eventId || generateEventId(),
+        sessionId: sessionId,
+        sequence: sequence,
+        monotonicTime: null,
+        pageUrl: migrated.url || null,
+        ...migrated,
+        schemaVersion: SCHEMA_VERSION
+    };
+}
+
+/**
+ * Convert a version 1 export ({ session, events }) to the current schema
+ * @param {Object|string} exportData - Parsed or raw JSON export
+ * @returns {Object} Export in the current schema
+ */
+function migrateExport(exportData) {
+    const data = typeof exportData === 'string' ? JSON.parse(exportData) : exportData;
+    const sessionId = data.session ? data.session.sessionId : null;
+    let pageUrl = data.session ? data.session.pageUrl : null;
+    
+    return {
+        schemaVersion: SCHEMA_VERSION,
+        session: data.session,
+        events: data.events.map((event, index) => {
+            const migrated = migrateEvent(event, sessionId, index + 1);
+            // v1 events only carried a URL on page views
+            pageUrl = event.url || pageUrl;
+            migrated.pageUrl = migrated.pageUrl || pageUrl;
+            return migrated;
+        }),
+        exportTime: data.exportTime
+    };
+}
+
+// ===================================================================
+// EVENT BUFFER AND COALESCING
+// ===================================================================
+
+/**
+ * Get the key two events must share to be merged
+ * @param {Object} event - The event
+ * @returns {string} Type plus target
+ */
+function getCoalesceKey(event) {
+    return `${event.type_of_event}|${event.cssSelector || event.event_object}`;
+}
+
+/**
+ * Collect the numeric position/viewport fields of an event
+ * @param {Object} event - The event
+ * @returns {Object} Flattened values, e.g. { 'position.scrollY': 120 }
+ */
+function getRangeValues(event) {
+    const values = {};
+    ['position', 'viewport'].forEach(group => {
+        if (event[group] && typeof event[group] === 'object') {
+            Object.keys(event[group]).forEach(key => {
+                if (typeof event[group][key] === 'number') {
+                    values[`${group}.${key}`] = event[group][key];
+                }
+            });
+        }
+    });
+    return values;
+}
+
+/**
+ * Merge an event into the previous one when both are on the same target
+ * @param {Object} event - The new event
+ * @returns {Object|null} The merged event, or null when it must be stored separately
+ */
+function coalesceEvent(event) {
+    const config = ActivityTracker.config;
+    if (!config.groupSimilarEvents || !config.buffer.coalesceTypes.includes(event.type_of_event)) {
+        return null;
+    }
+    
+    const previous = ActivityTracker.events[ActivityTracker.events.length - 1];
+    if (!previous || getCoalesceKey(previous) !== getCoalesceKey(event)) {
+        return null;
+    }
+    
+    // Once a batch is sent, later changes to it would never reach the collector
+    const transport = ActivityTracker.transport;
+    if (transport.flushTimer && transport.pending[transport.pending.length - 1] !== previous) {
+        return null;
+    }
+    
+    // An event that starts a new session must be stored in it
+    const record = ActivityTracker.sessionRecord;
+    if (record && getSessionRolloverReason(record, Date.now(), record.campaign)) {
+        return null;
+    }
+    
+    if (!previous.count) {
+        previous.count = 1;
+        previous.firstTimestamp = previous.timestamp;
+        previous.range = {};
+        Object.entries(getRangeValues(previous)).forEach(([key, value]) => {
+            previous.range[key] = { min: value, max: value };
+        });
+    }
+    
+    previous.count += 1;
+    previous.lastTimestamp = event.timestamp;
+    Object.entries(getRangeValues(event)).forEach(([key, value]) => {
+        const range = previous.range[key] || (previous.range[key] = { min: value, max: value });
+        range.min = Math.min(range.min, value);
+        range.max = Math.max(range.max, value);
+    });
+    
+    // The merged event shows the latest position
+    ['position', 'viewport'].forEach(group => {
+        if (event[group]) {
+            previous[group] = event[group];
+        }
+    });
+    
+    return previous;
+}
+
+/**
+ * Add an event to the buffer, applying the overflow policy when it is full
+ * @param {Object} event - The event
+ */
+function addToBuffer(event) {
+    const events = ActivityTracker.events;
+    const bufferConfig = ActivityTracker.config.buffer;
+    
+    events.push(event);
+    if (events.length <= bufferConfig.maxEvents) {
+        return;
+    }
+    
+    switch (bufferConfig.overflowPolicy) {
+        case 'flush':
+            if (ActivityTracker.transport.flushTimer) {
+                // Everything recorded is already pending delivery; keep the newest half in memory
+                flushEvents();
+                const removed = events.splice(0, events.length - Math.floor(bufferConfig.maxEvents / 2));
+                markErrorsSent(removed);
+                ActivityTracker.buffer.flushed += removed.length;
+                return;
+            }
+            dropBufferedEvent(0);
+            return;
+        case 'dropLowPriority': {
+            const index = events.findIndex(e => bufferConfig.lowPriorityTypes.includes(e.type_of_event));
+            dropBufferedEvent(index === -1 ? 0 : index);
+            return;
+        }
+        case 'dropOldest':
+        default:
+            dropBufferedEvent(0);
+    }
+}
+
+/**
+ * Remove one event from the buffer
+ * @param {number} index - Position of the event to drop
+ */
+function dropBufferedEvent(index) {
+    markErrorsSent(ActivityTracker.events.splice(index, 1));
+    
+    if (ActivityTracker.buffer.dropped === 0) {
+        console.warn(`⚠️ Event buffer full (${ActivityTracker.config.buffer.maxEvents}), dropping events`);
+    }
+    ActivityTracker.buffer.dropped += 1;
+}
+
+// ===================================================================
+// PRIVACY AND REDACTION
+// ===================================================================
+
+/**
+ * Check whether an element (or an ancestor) opted out of tracking
+ * @param {Element} element - The DOM element
+ * @returns {boolean} Whether events from the element must be dropped
+ */
+function isElementIgnored(element) {
+    // The attribute also covers shadow roots of an ignored host and iframes inside an ignored element
+    return Boolean(element && closestComposed(element, `[${ActivityTracker.config.privacy.ignoreAttribute}]`, true));
+}
+
+/**
+ * Check whether an element's value and text must be masked
+ * @param {Element} element - The DOM element
+ * @returns {boolean} Whether the element holds sensitive content
+ */
+function shouldMaskElement(element) {
+    const privacy = ActivityTracker.config.privacy;
+    if (!element || !element.closest) {
+        return false;
+    }
+    
+    if (closestComposed(element, `[${privacy.maskAttribute}]`, true)) {
+        return true;
+    }
+    
+    const type = typeof element.type === 'string' ? element.type.toLowerCase() : '';
+    const autocomplete = (element.getAttribute('autocomplete') || '').toLowerCase();
+    return privacy.maskInputTypes.includes(type) || privacy.maskAutocomplete.includes(autocomplete);
+}
+
+/**
+ * Replace emails, phone numbers and long numbers in a string
+ * @param {string} text - Captured text
+ * @returns {string} Scrubbed text
+ */
+function scrubText(text) {
+    const privacy = ActivityTracker.config.privacy;
+    return Object.keys(privacy.patterns).reduce((result, name) => {
+        const pattern = privacy.patterns[name];
+        return pattern ? result.replace(pattern, privacy.replacement) : result;
+    }, text);
+}
+
+/**
+ * Scrub every string in an event in place, skipping structural fields
+ * @param {Object} target - Event or nested object/array
+ * @param {number} depth - Nesting level (guards against cyclic properties)
+ */
+function scrubValues(target, depth = 0) {
+    if (depth > 5) {
+        return;
+    }
+    
+    Object.keys(target).forEach(key => {
+        const value = target[key];
+        if (ActivityTracker.config.privacy.unscrubbedFields.includes(key)) {
+            return;
+        }
+        if (typeof value === 'string') {
+            target[key] = scrubText(value);
+        } else if (value && typeof value === 'object') {
+            scrubValues(value, depth + 1);
+        }
+    });
+}
+
+/**
+ * Apply redaction rules to an event (in place) before it is stored
+ * @param {Object} event - The event
+ * @param {Element} element - Element the event came from (if any)
+ * @returns {Object} The redacted event
+ */
+function redactEvent(event, element) {
+    const privacy = ActivityTracker.config.privacy;
+    
+    // Mask values of sensitive inputs and data-track-mask elements
+    if (event.element && shouldMaskElement(element)) {
+        ['value', 'text'].forEach(field => {
+            if (event.element[field] !== undefined && event.element[field] !== null) {
+                event.element[field] = privacy.replacement;
+            }
+        });
+    }
+    
+    if (privacy.scrubPatterns) {
+        scrubValues(event);
+    }
+    return event;
+}
+
+// ===================================================================
+// CONSENT MANAGEMENT
+// ===================================================================
+
+/**
+ * Load the stored consent decision
+ * @returns {Object} { decided, granted, updatedAt }
+ */
+function loadConsent() {
+    try {
+        const stored = localStorage.getItem(ActivityTracker.config.consent.storageKey);
+        if (stored) {
+            return JSON.parse(stored);
+        }
+    } catch (error) {
+        // Fall through to "not decided"
+    }
+    return { decided: false, granted: [], updatedAt: null };
+}
+
+/**
+ * Store the consent decision for later page loads
+ * @param {Object} consent - { decided, granted, updatedAt }
+ */
+function saveConsent(consent) {
+    try {
+        localStorage.setItem(ActivityTracker.config.consent.storageKey, JSON.stringify(consent));
+    } catch (error) {
+        console.warn('⚠️ Could not store consent decision:', error.message);
+    }
+}
+
+/**
+ * Check for Do Not Track and Global Privacy Control browser signals
+ * @returns {boolean} Whether the browser asks not to be tracked
+ */
+function hasOptOutSignal() {
+    const consentConfig = ActivityTracker.config.consent;
+    const doNotTrack = navigator.doNotTrack === '1' || window.doNotTrack === '1';
+    const globalPrivacyControl = navigator.globalPrivacyControl === true;
+    
+    return (consentConfig.respectDoNotTrack && doNotTrack) ||
+        (consentConfig.respectGlobalPrivacyControl && globalPrivacyControl);
+}
+
+/**
+ * Check whether collection must wait for grantConsent()
+ * @returns {boolean} Whether consent is required on this page
+ */
+function isConsentRequired() {
+    return ActivityTracker.config.consent.required || hasOptOutSignal();
+}
+
+/**
+ * Check whether events of a consent category may be collected
+ * @param {string} category - Consent category (e.g. 'analytics')
+ * @returns {boolean} Whether the category is allowed
+ */
+function hasConsent(category) {
+    const consent = ActivityTracker.consent;
+    
+    // An explicit decision always wins, including over DNT/GPC
+    if (consent.decided) {
+        return consent.granted.includes(category);
+    }
+    return !isConsentRequired();
+}
+
+/**
+ * Get the consent category an event is collected under
+ * @param {Object} event - The event
+ * @returns {string} Consent category
+ */
+function getConsentCategory(event) {
+    const consentConfig = ActivityTracker.config.consent;
+    return consentConfig.eventCategories[event.type_of_event] || consentConfig.defaultCategory;
+}
+
+/**
+ * Apply consent to an event: tag it, reduce it to an anonymous count, or drop it
+ * @param {Object} event - The event
+ * @returns {Object|null} Event to store, or null when it must not be collected
+ */
+function applyConsent(event) {
+    const category = getConsentCategory(event);
+    
+    if (hasConsent(category)) {
+        event.consentCategory = category;
+        return event;
+    }
+    
+    // Without consent, optionally keep page-view counts with nothing identifying
+    const isPageView = event.type_of_event === 'PAGE_VIEW' || event.type_of_event === 'VIRTUAL_PAGE_VIEW';
+    if (ActivityTracker.config.consent.mode === 'anonymous' && isPageView) {
+        return {
+            timestamp: event.timestamp,
+            type_of_event: event.type_of_event,
+            event_object: event.event_object,
+            eventId: event.eventId,
+            pathname: event.pathname,
+            title: event.title,
+            consentCategory: 'anonymous'
+        };
+    }
+    
+    return null;
+}
+
+/**
+ * Check whether identifiers and events may be written to browser storage
+ * @returns {boolean} Whether analytics consent is present
+ */
+function canPersist() {
+    return hasConsent(ActivityTracker.config.consent.defaultCategory);
+}
+
+/**
+ * Get the session block for exports and batches (anonymous without consent)
+ * @returns {Object} Session information
+ */
+function getExportSession() {
+    if (canPersist()) {
+        return ActivityTracker.session;
+    }
+    return { sessionId: 'anonymous', pageUrl: window.location.pathname };
+}
+
+/**
+ * Grant consent and start (or continue) collecting
+ * @param {Array<string>} categories - Categories to allow (defaults to all)
+ */
+function grantConsent(categories = ActivityTracker.config.consent.categories) {
+    // Plugins whose setup gave up without this consent must run it again
+    const newlyGranted = categories.filter(category => !hasConsent(category));
+    
+    ActivityTracker.consent = {
+        decided: true,
+        granted: categories.slice(),
+        updatedAt: new Date().toISOString()
+    };
+    saveConsent(ActivityTracker.consent);
+    
+    // Identifiers were kept in memory until now; after a revocation they were purged
+    if (!ActivityTracker.sessionRecord && ActivityTracker.state !== 'idle') {
+        startOrResumeSession();
+    } else if (canPersist()) {
+        ActivityTracker.session.visitorId = getVisitorId();
+        if (ActivityTracker.sessionRecord) {
+            saveStoredSession(ActivityTracker.sessionRecord);
+        }
+    }
+    
+    console.log('✅ Consent granted for:', categories.join(', '));
+    
+    if (ActivityTracker.state === 'running' || ActivityTracker.state === 'paused') {
+        ActivityTracker.plugins.forEach(entry => {
+            if (entry.plugin.consent && newlyGranted.includes(entry.plugin.consent)) {
+                restartPlugin(entry.plugin.name);
+            }
+        });
+        syncPlugins();
+    } else if (ActivityTracker.state === 'stopped' || (ActivityTracker.state === 'idle' && ActivityTracker.config.autoStart)) {
+        start();
+    }
+}
+
+/**
+ * Revoke consent: stop collecting and purge everything stored or queued
+ */
+function revokeConsent() {
+    ActivityTracker.consent = {
+        decided: true,
+        granted: [],
+        updatedAt: new Date().toISOString()
+    };
+    saveConsent(ActivityTracker.consent);
+    
+    // Record nothing more (plugin teardowns included) and send nothing that was queued
+    if (ActivityTracker.state === 'running') {
+        ActivityTracker.state = 'paused';
+    }
+    purgeTrackingData();
+    stop({ flush: false });
+    
+    console.log('🚫 Consent revoked, tracking data purged');
+}
+
+/**
+ * Delete recorded, pending and queued events and stored identifiers
+ */
+function purgeTrackingData() {
+    const sessionConfig = ActivityTracker.config.session;
+    
+    ActivityTracker.events.length = 0;
+    ActivityTracker.transport.pending = [];
+    ActivityTracker.errors.breadcrumbs = [];
+    ActivityTracker.errors.seen.clear();
+    ActivityTracker.errors.sent = new WeakSet();
+    clearTimeout(ActivityTracker.sessionSave.timer);
+    ActivityTracker.sessionSave.timer = null;
+    ActivityTracker.sections.clear();
+    ActivityTracker.forms.fields = new WeakMap();
+    ActivityTracker.forms.progress.clear();
+    ActivityTracker.media.elements = new WeakMap();
+    ActivityTracker.media.played.clear();
+    Object.assign(ActivityTracker.recording, {
+        nodeIds: new WeakMap(),
+        nextNodeId: 1,
+        snapshot: null,
+        frames: [],
+        full: false
+    });
+    saveRetryQueue([]);
+    
+    try {
+        sessionStorage.removeItem(sessionConfig.storageKey);
+        localStorage.removeItem(sessionConfig.visitorStorageKey);
+    } catch (error) {
+        // Storage unavailable - nothing to remove
+    }
+    setCookie(sessionConfig.storageKey.replace(/\./g, '_'), '', 0);
+    
+    // A later grant starts a new session and visitor instead of restoring these
+    ActivityTracker.sessionRecord = null;
+    Object.assign(ActivityTracker.session, {
+        sessionId: null,
+        startTime: null,
+        visitorId: null,
+        pageSequence: 0
+    });
+}
+
+/**
+ * Get the current consent state
+ * @returns {Object} Whether consent is required, what was granted and browser signals
+ */
+function getConsent() {
+    return {
+        required: isConsentRequired(),
+        decided: ActivityTracker.consent.decided,
+        granted: ActivityTracker.config.consent.categories.filter(hasConsent),
+        optOutSignal: hasOptOutSignal(),
+        updatedAt: ActivityTracker.consent.updatedAt
+    };
+}
+
+// ===================================================================
+// PLUGIN SYSTEM
+// ===================================================================
+
+/*
+ * A plugin groups DOM listeners and an optional enrichment hook:
+ *   name       - unique name (used to disable or replace it)
+ *   listeners  - [{ target, type, handler, options }] attached while active
+ *   isEnabled  - optional (config) => boolean, defaults to true
+ *   setup      - optional, called when the plugin becomes active
+ *   teardown   - optional, called when the plugin is deactivated
+ *   enrich     - optional (event) => event | null, run on every event
+ *                before storage; return null (or false) to drop it
+ *   frames     - optional, also attach the document listeners inside
+ *                same-origin iframes
+ *   consent    - optional consent category the setup needs; the plugin is
+ *                set up again when that category is granted later
+ */
+
+/**
+ * Register a plugin, replacing any plugin with the same name
+ * @param {Object} plugin - Plugin definition
+ */
+function registerPlugin(plugin) {
+    if (!plugin || typeof plugin.name !== 'string' || plugin.name === '') {
+        throw new TypeError('A plugin needs a non-empty name');
+    }
+    
+    if (ActivityTracker.plugins.has(plugin.name)) {
+        unregisterPlugin(plugin.name);
+    }
+    
+    const entry = { plugin: plugin, active: false };
+    ActivityTracker.plugins.set(plugin.name, entry);
+    
+    if (isPluginEnabled(plugin)) {
+        activatePlugin(entry);
+    }
+}
+
+/**
+ * Deactivate and remove a plugin
+ * @param {string} name - Plugin name
+ * @returns {boolean} Whether a plugin was removed
+ */
+function unregisterPlugin(name) {
+    const entry = ActivityTracker.plugins.get(name);
+    if (!entry) {
+        return false;
+    }
+    
+    deactivatePlugin(entry);
+    ActivityTracker.plugins.delete(name);
+    return true;
+}
+
+/**
+ * Check whether a plugin should be active under the current config
+ * @param {Object} plugin - Plugin definition
+ * @returns {boolean} Whether the plugin is enabled
+ */
+function isPluginEnabled(plugin) {
+    if (ActivityTracker.config.disabledPlugins.includes(plugin.name)) {
+        return false;
+    }
+    return plugin.isEnabled ? Boolean(plugin.isEnabled(ActivityTracker.config)) : true;
+}
+
+/**
+ * Attach a plugin's listeners and run its setup
+ * @param {Object} entry - Registry entry
+ */
+function activatePlugin(entry) {
+    if (entry.active) {
+        return;
+    }
+    
+    (entry.plugin.listeners || []).forEach(listener => {
+        listener.target.addEventListener(listener.type, listener.handler, listener.options);
+    });
+    if (entry.plugin.frames) {
+        ActivityTracker.frames.forEach(frameDocument => setFrameListeners(entry.plugin, frameDocument, true));
+    }
+    if (entry.plugin.setup) {
+        entry.plugin.setup();
+    }
+    entry.active = true;
+    
+    // The plugin's unload listeners may record final events: the transport flush must run after them
+    if (ActivityTracker.transport.flushTimer) {
+        addTransportUnloadListeners();
+    }
+}
+
+/**
+ * Detach a plugin's listeners and run its teardown
+ * @param {Object} entry - Registry entry
+ */
+function deactivatePlugin(entry) {
+    if (!entry.active) {
+        return;
+    }
+    
+    (entry.plugin.listeners || []).forEach(listener => {
+        listener.target.removeEventListener(listener.type, listener.handler, listener.options);
+    });
+    if (entry.plugin.frames) {
+        ActivityTracker.frames.forEach(frameDocument => setFrameListeners(entry.plugin, frameDocument, false));
+    }
+    if (entry.plugin.teardown) {
+        entry.plugin.teardown();
+    }
+    entry.active = false;
+}
+
+/**
+ * Run every active plugin's enrich hook on an event
+ * @param {Object} event - Event about to be stored
+ * @returns {Object|null} Enriched event, or null if a plugin dropped it
+ */
+function enrichEvent(event) {
+    for (const entry of ActivityTracker.plugins.values()) {
+        if (!entry.active || !entry.plugin.enrich) {
+            continue;
+        }
+        
+        try {
+            const result = entry.plugin.enrich(event);
+            if (result === null || result === false) {
+                return null;
+            }
+            if (result && typeof result === 'object') {
+                event = result;
+            }
+        } catch (error) {
+            console.warn(`⚠️ Plugin "${entry.plugin.name}" failed to enrich event:`, error);
+        }
+    }
+    return event;
+}
+
+/**
+ * List registered plugins
+ * @returns {Array} Plugin names and whether each is active
+ */
+function getPlugins() {
+    return Array.from(ActivityTracker.plugins.values()).map(entry => ({
+        name: entry.plugin.name,
+        active: entry.active
+    }));
+}
+
+// ===================================================================
+// SAME-ORIGIN IFRAMES
+// ===================================================================
+
+/**
+ * Get the document of an iframe when it is readable (same origin)
+ * @param {HTMLIFrameElement} iframe - The iframe
+ * @returns {Document|null} The frame document
+ */
+function getFrameDocument(iframe) {
+    try {
+        return iframe.contentDocument || null;
+    } catch (error) {
+        return null;                                     // Cross-origin
+    }
+}
+
+/**
+ * Attach or detach a plugin's document listeners in a frame document
+ * @param {Object} plugin - Plugin definition
+ * @param {Document} frameDocument - Document of a same-origin iframe
+ * @param {boolean} attach - Attach (true) or detach (false)
+ */
+function setFrameListeners(plugin, frameDocument, attach) {
+    (plugin.listeners || [])
+        .filter(listener => listener.target === document)
+        .forEach(listener => {
+            if (attach) {
+                frameDocument.addEventListener(listener.type, listener.handler, listener.options);
+            } else {
+                frameDocument.removeEventListener(listener.type, listener.handler, listener.options);
+            }
+        });
+}
+
+/**
+ * Instrument an iframe's document (and the iframes inside it) for every active frame plugin
+ * @param {HTMLIFrameElement} iframe - The iframe
+ */
+function instrumentFrame(iframe) {
+    pruneFrames();
+    const frameDocument = getFrameDocument(iframe);
+    if (!frameDocument || ActivityTracker.frames.get(iframe) === frameDocument) {
+        return;
+    }
+    
+    // A navigated frame has a new document; the old one goes away with its listeners
+    ActivityTracker.frames.set(iframe, frameDocument);
+    ActivityTracker.plugins.forEach(entry => {
+        if (entry.active && entry.plugin.frames) {
+            setFrameListeners(entry.plugin, frameDocument, true);
+        }
+    });
+    
+    frameDocument.querySelectorAll('iframe').forEach(instrumentFrame);
+}
+
+/**
+ * Forget iframes that were removed or navigated away, so their documents can be freed
+ */
+function pruneFrames() {
+    ActivityTracker.frames.forEach((frameDocument, iframe) => {
+        if (!iframe.isConnected || getFrameDocument(iframe) !== frameDocument) {
+            ActivityTracker.frames.delete(iframe);
+        }
+    });
+}
+
+/**
+ * Instrument all iframes of the page and watch for removed ones
+ */
+function startFrameTracking() {
+    document.querySelectorAll('iframe').forEach(instrumentFrame);
+    
+    ActivityTracker.framesObserver = new MutationObserver(mutations => {
+        if (ActivityTracker.frames.size > 0 && mutations.some(mutation => mutation.removedNodes.length > 0)) {
+            pruneFrames();
+        }
+    });
+    ActivityTracker.framesObserver.observe(document.documentElement, { childList: true, subtree: true });
+}
+
+/**
+ * Instrument iframes when they (re)load, including ones added after start
+ * @param {Event} event - The load event (captured, it doesn't bubble)
+ */
+function handleFrameLoad(event) {
+    if (getTagName(event.target) === 'iframe') {
+        instrumentFrame(event.target);
+    }
+}
+
+/**
+ * Remove the listeners of all frame plugins from instrumented frames
+ */
+function releaseFrames() {
+    if (ActivityTracker.framesObserver) {
+        ActivityTracker.framesObserver.disconnect();
+        ActivityTracker.framesObserver = null;
+    }
+    ActivityTracker.frames.forEach(frameDocument => {
+        ActivityTracker.plugins.forEach(entry => {
+            if (entry.active && entry.plugin.frames) {
+                setFrameListeners(entry.plugin, frameDocument, false);
+            }
+        });
+    });
+    ActivityTracker.frames.clear();
+}
+
+// ===================================================================
+// PAGE VIEW TRACKING
+// ===================================================================
+
+/**
+ * Track page view event
+ * @param {Object} options - Set for virtual page views
+ * @param {boolean} options.virtual - Emit VIRTUAL_PAGE_VIEW instead of PAGE_VIEW
+ * @param {string} options.url - URL of the view (defaults to the current URL)
+ * @param {string} options.referrer - Previous location within the page
+ * @param {string} options.trigger - What caused the navigation (hashchange, pushState...)
+ * @param {number} options.timeOnPreviousView - Milliseconds spent on the previous view
+ */
+function trackPageView(options = {}) {
+    const url = options.url || window.location.href;
+    const parsedUrl = new URL(url, window.location.href);
+    
+    const pageViewEvent = {
+        timestamp: new Date().toISOString(),
+        type_of_event: options.virtual ? 'VIRTUAL_PAGE_VIEW' : 'PAGE_VIEW',
+        event_object: 'PAGE',
+        url: url,
+        pathname: parsedUrl.pathname,
+        hash: parsedUrl.hash || null,
+        referrer: options.referrer || document.referrer || null,
+        title: document.title,
+        viewport: `${window.innerWidth}x${window.innerHeight}`
+    };
+    
+    if (options.virtual) {
+        pageViewEvent.trigger = options.trigger;
+        pageViewEvent.timeOnPreviousView = options.timeOnPreviousView;
+    } else if (options.trigger) {
+        pageViewEvent.trigger = options.trigger;  // 'bfcache' for a page restored from the back/forward cache
+    }
+    
+    // Remember the current view for the next virtual navigation
+    ActivityTracker.currentView = {
+        url: url,
+        startedAt: Date.now()
+    };
+    
+    // Add to events array
+    if (!recordEvent(pageViewEvent)) {
+        return;
+    }
+    
+    // The PERFORMANCE event of this page load refers to it
+    if (!options.virtual) {
+        ActivityTracker.performance.pageViewId = pageViewEvent.eventId;
+    }
+    
+    // Log to console
+    if (ActivityTracker.config.logToConsole) {
+        console.log(`%c📄 ${options.virtual ? 'VIRTUAL PAGE VIEW' : 'PAGE VIEW'}`, 'background: #2196F3; color: white; padding: 4px 8px; border-radius: 3px;');
+        console.log('Timestamp:', pageViewEvent.timestamp);
+        console.log('Event Type:', pageViewEvent.type_of_event);
+        console.log('Event Object:', pageViewEvent.event_object);
+        console.log('URL:', pageViewEvent.url);
+        console.log('Referrer:', pageViewEvent.referrer || 'Direct');
+        console.log('Title:', pageViewEvent.title);
+        if (options.virtual) {
+            console.log('From:', pageViewEvent.referrer, `(${(pageViewEvent.timeOnPreviousView / 1000).toFixed(1)}s)`);
+        }
+        console.log('---');
+    }
+}
+
+// ===================================================================
+// VIRTUAL PAGE VIEW TRACKING
+// ===================================================================
+
+/**
+ * Wrap pushState/replaceState, which fire no event of their own
+ */
+function wrapHistoryMethods() {
+    ['pushState', 'replaceState'].forEach(method => {
+        const original = history[method];
+        ActivityTracker.originalHistory[method] = original;
+        history[method] = function(...args) {
+            const result = original.apply(this, args);
+            handleLocationChange(method);
+            return result;
+        };
+    });
+}
+
+/**
+ * Put back the original pushState/replaceState
+ */
+function restoreHistoryMethods() {
+    Object.keys(ActivityTracker.originalHistory).forEach(method => {
+        history[method] = ActivityTracker.originalHistory[method];
+    });
+    ActivityTracker.originalHistory = {};
+}
+
+/**
+ * Emit a virtual page view when the location changed
+ * @param {string} trigger - What caused the navigation
+ * @param {string} url - New location (defaults to the current URL)
+ */
+function handleLocationChange(trigger, url = window.location.href) {
+    const previous = ActivityTracker.currentView;
+    
+    // hashchange and popstate both fire for one anchor jump
+    if (!previous || previous.url === url) {
+        return;
+    }
+    
+    // A new path is a new page view for scroll depth; anchor jumps within a page are not
+    if (new URL(previous.url).pathname !== new URL(url, window.location.href).pathname) {
+        trackMaxScrollDepth();
+    }
+    
+    trackPageView({
+        virtual: true,
+        url: url,
+        referrer: previous.url,
+        trigger: trigger,
+        timeOnPreviousView: Date.now() - previous.startedAt
+    });
+}
+
+/**
+ * Treat a prevented click on a same-page anchor as a navigation
+ * @param {Event} event - The click event (bubbling phase, after page scripts)
+ */
+function handleAnchorNavigation(event) {
+    const link = event.target.closest?.('a[href^="#"]');
+    if (!link || !event.defaultPrevented || link.getAttribute('href') === '#') {
+        return;
+    }
+    
+    const url = window.location.href.split('#')[0] + link.getAttribute('href');
+    handleLocationChange('anchor', url);
+}
+
+// ===================================================================
+// ENGAGEMENT TIME
+// ===================================================================
+
+/**
+ * Check whether the user is engaged right now
+ * @returns {boolean} Whether the page is visible, focused and not idle
+ */
+function isEngaged() {
+    const state = ActivityTracker.engagement;
+    return document.visibilityState === 'visible' && state.focused && !state.idle && !state.finalized;
+}
+
+/**
+ * Start or stop the engagement clock to match the current state
+ */
+function updateEngagementClock() {
+    const state = ActivityTracker.engagement;
+    const engaged = isEngaged();
+    
+    if (engaged && state.activeSince === null) {
+        state.activeSince = performance.now();
+    } else if (!engaged && state.activeSince !== null) {
+        state.activeTime += performance.now() - state.activeSince;
+        state.activeSince = null;
+    }
+}
+
+/**
+ * Get the engaged time of the current page view
+ * @returns {number} Milliseconds
+ */
+function getEngagedTime() {
+    const state = ActivityTracker.engagement;
+    const running = state.activeSince !== null ? performance.now() - state.activeSince : 0;
+    return Math.round(state.activeTime + running);
+}
+
+/**
+ * Add engaged time not yet counted to the persisted session total
+ */
+function commitEngagedTime() {
+    const state = ActivityTracker.engagement;
+    const engagedTime = getEngagedTime();
+    const record = ActivityTracker.sessionRecord;
+    
+    if (record) {
+        record.engagedTime = (record.engagedTime || 0) + (engagedTime - state.reportedTime);
+        saveStoredSession(record);
+    }
+    state.reportedTime = engagedTime;
+}
+
+/**
+ * Start the engagement clock, idle detection and heartbeats
+ * Time already counted for this page view is kept across stop()/start()
+ */
+function startEngagementTracking() {
+    const state = ActivityTracker.engagement;
+    state.focused = document.hasFocus();
+    state.lastInput = performance.now();
+    state.idle = false;
+    
+    state.heartbeatTimer = setInterval(sendHeartbeat, ActivityTracker.config.engagement.heartbeatInterval);
+    scheduleIdleCheck();
+    updateEngagementClock();
+}
+
+/**
+ * Stop the clock and timers, keeping the time counted so far
+ */
+function stopEngagementTracking() {
+    const state = ActivityTracker.engagement;
+    clearInterval(state.heartbeatTimer);
+    clearTimeout(state.idleTimer);
+    state.heartbeatTimer = null;
+    state.idleTimer = null;
+    
+    state.idle = true;
+    updateEngagementClock();
+    commitEngagedTime();
+}
+
+/**
+ * Check for idleness once the idle timeout has passed since the last input
+ */
+function scheduleIdleCheck() {
+    const state = ActivityTracker.engagement;
+    const remaining = state.lastInput + ActivityTracker.config.engagement.idleTimeout - performance.now();
+    
+    clearTimeout(state.idleTimer);
+    state.idleTimer = setTimeout(() => {
+        if (performance.now() - state.lastInput >= ActivityTracker.config.engagement.idleTimeout) {
+            // Reading without input still counts, up to the idle timeout
+            state.idle = true;
+            updateEngagementClock();
+        } else {
+            scheduleIdleCheck();
+        }
+    }, Math.max(0, remaining));
+}
+
+/**
+ * Note user input, ending an idle period
+ * @param {Event} event - Input event
+ */
+function handleEngagementInput(event) {
+    const state = ActivityTracker.engagement;
+    state.lastInput = performance.now();
+    
+    // Pressing a key or button means the window has focus, even if no focus event was seen
+    if (['mousedown', 'keydown', 'touchstart'].includes(event.type)) {
+        state.focused = true;
+    }
+    
+    if (state.idle) {
+        state.idle = false;
+        scheduleIdleCheck();
+    }
+    updateEngagementClock();
+}
+
+/**
+ * Pause or resume on visibility and window focus changes
+ * @param {Event} event - visibilitychange, focus or blur event
+ */
+function handleEngagementChange(event) {
+    const state = ActivityTracker.engagement;
+    if (event.type === 'focus' || event.type === 'blur') {
+        // Focus events of elements reach window only when captured, but check anyway
+        if (event.target !== window) {
+            return;
+        }
+        state.focused = event.type === 'focus';
+    }
+    
+    // Coming back to the page counts as activity
+    if (document.visibilityState === 'visible' && event.type !== 'blur') {
+        state.lastInput = performance.now();
+        if (state.idle) {
+            state.idle = false;
+            scheduleIdleCheck();
+        }
+    }
+    updateEngagementClock();
+}
+
+/**
+ * Record a HEARTBEAT with the engaged time so far (only when it changed)
+ * so duration is known even if the page is never finalised
+ */
+function sendHeartbeat() {
+    const state = ActivityTracker.engagement;
+    if (getEngagedTime() === state.reportedTime) {
+        return;
+    }
+    commitEngagedTime();
+    
+    const record = ActivityTracker.sessionRecord;
+    recordEvent({
+        timestamp: new Date().toISOString(),
+        type_of_event: 'HEARTBEAT',
+        event_object: 'PAGE',
+        engagedTime: state.reportedTime,
+        sessionEngagedTime: record ? Math.round(record.engagedTime) : null
+    });
+}
+
+/**
+ * Record the final ENGAGEMENT event of the page view
+ * @param {PageTransitionEvent} event - The pagehide event
+ */
+function finalizeEngagement(event) {
+    const state = ActivityTracker.engagement;
+    if (state.finalized) {
+        return;
+    }
+    state.finalized = true;
+    updateEngagementClock();
+    commitEngagedTime();
+    
+    const record = ActivityTracker.sessionRecord;
+    recordEvent({
+        timestamp: new Date().toISOString(),
+        type_of_event: 'ENGAGEMENT',
+        event_object: 'PAGE',
+        engagedTime: state.reportedTime,
+        sessionEngagedTime: record ? Math.round(record.engagedTime) : null,
+        pageDuration: Date.now() - state.pageStartTime,
+        persisted: Boolean(event && event.persisted)
+    });
+}
+
+/**
+ * Start a fresh engagement count when the page comes back from the back/forward cache
+ * @param {PageTransitionEvent} event - The pageshow event
+ */
+function handleEngagementPageShow(event) {
+    if (!event.persisted) {
+        return;
+    }
+    
+    const state = ActivityTracker.engagement;
+    state.activeTime = 0;
+    state.activeSince = null;
+    state.reportedTime = 0;
+    state.pageStartTime = Date.now();
+    state.lastInput = performance.now();
+    state.focused = document.hasFocus();
+    state.idle = false;
+    state.finalized = false;
+    
+    scheduleIdleCheck();
+    updateEngagementClock();
+}
+
+// ===================================================================
+// PERFORMANCE METRICS
+// ===================================================================
+
+// Observed entry types and the functions that process their entries
+const PERFORMANCE_ENTRY_HANDLERS = {
+    'paint': handlePaintEntries,
+    'largest-contentful-paint': handleLargestPaintEntries,
+    'layout-shift': handleLayoutShiftEntries,
+    'event': handleInteractionEntries,
+    'first-input': handleInteractionEntries,
+    'longtask': handleLongTaskEntries
+};
+
+/**
+ * Start observing paint, layout shift, interaction and long task entries
+ * Buffered entries are replayed, so metrics are rebuilt from the start of the page load
+ */
+function startPerformanceObservers() {
+    const state = ActivityTracker.performance;
+    state.metrics = {
+        fcp: null,
+        lcp: null,
+        lcpElement: null,
+        cls: 0,
+        clsWindowValue: 0,        // Current session window of layout shifts
+        clsWindowStart: 0,
+        clsWindowEnd: 0,
+        interactions: new Map(),  // interactionId -> longest event duration
+        longTasks: { count: 0, totalDuration: 0, longest: 0, blockingTime: 0 }
+    };
+    
+    if (!('PerformanceObserver' in window)) {
+        return;
+    }
+    
+    const supportedTypes = PerformanceObserver.supportedEntryTypes || [];
+    Object.keys(PERFORMANCE_ENTRY_HANDLERS).forEach(type => {
+        if (!supportedTypes.includes(type)) {
+            return;
+        }
+        const handler = PERFORMANCE_ENTRY_HANDLERS[type];
+        const observer = new PerformanceObserver(list => handler(list.getEntries()));
+        try {
+            // Interactions shorter than 40 ms can't be the slowest one
+            observer.observe(type === 'event' ? { type: type, buffered: true, durationThreshold: 40 } : { type: type, buffered: true });
+            state.observers.push({ observer: observer, handler: handler });
+            state.supported.push(type);
+        } catch (error) {
+            // Entry type listed but not observable in this browser
+        }
+    });
+}
+
+/**
+ * Disconnect the performance observers
+ */
+function stopPerformanceObservers() {
+    const state = ActivityTracker.performance;
+    state.observers.forEach(({ observer }) => observer.disconnect());
+    state.observers = [];
+    state.supported = [];
+}
+
+/**
+ * Record First Contentful Paint
+ * @param {Array<PerformanceEntry>} entries - Paint entries
+ */
+function handlePaintEntries(entries) {
+    entries.forEach(entry => {
+        if (entry.name === 'first-contentful-paint') {
+            ActivityTracker.performance.metrics.fcp = Math.round(entry.startTime);
+        }
+    });
+}
+
+/**
+ * Record Largest Contentful Paint (the last candidate wins)
+ * @param {Array<PerformanceEntry>} entries - LCP entries
+ */
+function handleLargestPaintEntries(entries) {
+    const entry = entries[entries.length - 1];
+    if (entry) {
+        const metrics = ActivityTracker.performance.metrics;
+        metrics.lcp = Math.round(entry.startTime);
+        metrics.lcpElement = entry.element ? getCssSelector(entry.element) : null;
+    }
+}
+
+/**
+ * Add layout shifts to Cumulative Layout Shift (largest session window)
+ * @param {Array<PerformanceEntry>} entries - Layout shift entries
+ */
+function handleLayoutShiftEntries(entries) {
+    const metrics = ActivityTracker.performance.metrics;
+    
+    entries.forEach(entry => {
+        // Shifts right after user input are expected
+        if (entry.hadRecentInput) {
+            return;
+        }
+        
+        // Shifts less than 1 s apart, within 5 s of the first, form one window
+        const sameWindow = metrics.clsWindowValue > 0 &&
+            entry.startTime - metrics.clsWindowEnd < 1000 &&
+            entry.startTime - metrics.clsWindowStart < 5000;
+        
+        if (sameWindow) {
+            metrics.clsWindowValue += entry.value;
+            metrics.clsWindowEnd = entry.startTime;
+        } else {
+            metrics.clsWindowValue = entry.value;
+            metrics.clsWindowStart = entry.startTime;
+            metrics.clsWindowEnd = entry.startTime;
+        }
+        metrics.cls = Math.max(metrics.cls, metrics.clsWindowValue);
+    });
+}
+
+/**
+ * Keep the longest event duration of each interaction
+ * @param {Array<PerformanceEntry>} entries - Event timing entries
+ */
+function handleInteractionEntries(entries) {
+    const interactions = ActivityTracker.performance.metrics.interactions;
+    entries.forEach(entry => {
+        if (entry.interactionId) {
+            interactions.set(entry.interactionId, Math.max(interactions.get(entry.interactionId) || 0, entry.duration));
+        }
+    });
+}
+
+/**
+ * Add long tasks to the main-thread totals
+ * @param {Array<PerformanceEntry>} entries - Long task entries
+ */
+function handleLongTaskEntries(entries) {
+    const longTasks = ActivityTracker.performance.metrics.longTasks;
+    entries.forEach(entry => {
+        longTasks.count += 1;
+        longTasks.totalDuration += Math.round(entry.duration);
+        longTasks.longest = Math.max(longTasks.longest, Math.round(entry.duration));
+        longTasks.blockingTime += Math.max(0, Math.round(entry.duration) - 50);
+    });
+}
+
+/**
+ * Get Interaction to Next Paint from the recorded interactions
+ * @returns {number|null} INP in ms (null before any interaction)
+ */
+function getInteractionToNextPaint() {
+    const durations = Array.from(ActivityTracker.performance.metrics.interactions.values()).sort((a, b) => b - a);
+    if (durations.length === 0) {
+        return null;
+    }
+    // Skip one outlier per 50 interactions (98th percentile)
+    return Math.round(durations[Math.min(durations.length - 1, Math.floor(durations.length / 50))]);
+}
+
+/**
+ * Get Navigation Timing for the page load
+ * @returns {Object|null} Durations in ms from the start of navigation
+ */
+function getNavigationTiming() {
+    const entry = performance.getEntriesByType ? performance.getEntriesByType('navigation')[0] : null;
+    if (!entry) {
+        return null;
+    }
+    
+    return {
+        type: entry.type,
+        dns: Math.round(entry.domainLookupEnd - entry.domainLookupStart),
+        connect: Math.round(entry.connectEnd - entry.connectStart),
+        ttfb: Math.round(entry.responseStart),
+        domContentLoaded: Math.round(entry.domContentLoadedEventEnd),
+        load: entry.loadEventEnd > 0 ? Math.round(entry.loadEventEnd) : null,  // null if hidden before load
+        transferSize: typeof entry.transferSize === 'number' ? entry.transferSize : null
+    };
+}
+
+/**
+ * Summarise Resource Timing by type (img, script, css, ...)
+ * @returns {Object} { count, transferSize, byType, slowest }
+ */
+function getResourceSummary() {
+    const endpoint = ActivityTracker.config.transport.endpoint;
+    const entries = (performance.getEntriesByType ? performance.getEntriesByType('resource') : [])
+        .filter(entry => !entry.name.startsWith(endpoint));  // Our own batches aren't page resources
+    
+    const byType = {};
+    let transferSize = 0;
+    entries.forEach(entry => {
+        const type = entry.initiatorType || 'other';
+        const group = byType[type] || (byType[type] = { count: 0, transferSize: 0, totalDuration: 0 });
+        group.count += 1;
+        group.transferSize += entry.transferSize || 0;
+        group.totalDuration += Math.round(entry.duration);
+        transferSize += entry.transferSize || 0;
+    });
+    
+    const slowest = entries
+        .slice()
+        .sort((a, b) => b.duration - a.duration)
+        .slice(0, ActivityTracker.config.performance.slowestResources)
+        .map(entry => ({
+            url: entry.name,
+            type: entry.initiatorType || 'other',
+            duration: Math.round(entry.duration),
+            transferSize: entry.transferSize || 0
+        }));
+    
+    return { count: entries.length, transferSize: transferSize, byType: byType, slowest: slowest };
+}
+
+/**
+ * Get the performance metrics collected so far for this page load
+ * @returns {Object} { navigation, vitals, longTasks, resources }
+ */
+function getPerformanceMetrics() {
+    const state = ActivityTracker.performance;
+    const metrics = state.metrics;
+    
+    // Deliver entries the observers have queued but not reported yet
+    state.observers.forEach(({ observer, handler }) => {
+        if (observer.takeRecords) {
+            handler(observer.takeRecords());
+        }
+    });
+    
+    const supported = type => state.supported.includes(type);
+    return {
+        navigation: getNavigationTiming(),
+        vitals: {
+            fcp: metrics ? metrics.fcp : null,
+            lcp: metrics ? metrics.lcp : null,
+            lcpElement: metrics ? metrics.lcpElement : null,
+            cls: metrics && supported('layout-shift') ? Math.round(metrics.cls * 10000) / 10000 : null,
+            inp: metrics ? getInteractionToNextPaint() : null
+        },
+        longTasks: metrics && supported('longtask') ? { ...metrics.longTasks } : null,
+        resources: getResourceSummary()
+    };
+}
+
+/**
+ * Finalise performance when the tab is hidden (pagehide doesn't fire on mobile tab switches)
+ */
+function handlePerformanceVisibilityChange() {
+    if (document.visibilityState === 'hidden') {
+        finalizePerformance();
+    }
+}
+
+/**
+ * Record the PERFORMANCE event for this page load
+ * Vitals keep changing after the user returns to the tab, so each hide reports them again if they did
+ */
+function finalizePerformance() {
+    const state = ActivityTracker.performance;
+    if (!state.metrics) {
+        return;
+    }
+    
+    const metrics = getPerformanceMetrics();
+    const reported = JSON.stringify([metrics.navigation, metrics.vitals, metrics.longTasks]);
+    if (reported === state.reported) {
+        return;
+    }
+    
+    const performanceEvent = {
+        timestamp: new Date().toISOString(),
+        type_of_event: 'PERFORMANCE',
+        event_object: 'PAGE',
+        pageViewId: state.pageViewId,
+        ...metrics
+    };
+    
+    if (!recordEvent(performanceEvent)) {
+        return;
+    }
+    state.reported = reported;
+    
+    if (ActivityTracker.config.logToConsole) {
+        const { navigation, vitals } = metrics;
+        console.log('%c⚡ PERFORMANCE', 'background: #FFC107; color: black; padding: 4px 8px; border-radius: 3px;');
+        console.log('Timestamp:', performanceEvent.timestamp);
+        console.table({
+            'TTFB (ms)': navigation ? navigation.ttfb : 'N/A',
+            'Load (ms)': navigation && navigation.load !== null ? navigation.load : 'N/A',
+            'LCP (ms)': vitals.lcp ?? 'N/A',
+            'CLS': vitals.cls ?? 'N/A',
+            'INP (ms)': vitals.inp ?? 'N/A',
+            'Resources': metrics.resources.count
+        });
+        console.log('---');
+    }
+}
+
+// ===================================================================
+// SECTION VISIBILITY TRACKING
+// ===================================================================
+
+/**
+ * Observe configured sections and record how long each one is visible
+ */
+function initSectionTracking() {
+    const sectionConfig = ActivityTracker.config.sectionTracking;
+    if (!('IntersectionObserver' in window)) {
+        return;
+    }
+    
+    const thresholds = [];
+    for (let i = 0; i <= 20; i++) {
+        thresholds.push(i / 20);
+    }
+    
+    ActivityTracker.sectionObserver = new IntersectionObserver(handleSectionIntersection, { threshold: thresholds });
+    
+    document.querySelectorAll(sectionConfig.selectors.join(', ')).forEach(element => {
+        const name = element.getAttribute('data-track-section') || element.id || getCssSelector(element);
+        if (ActivityTracker.sections.has(name)) {
+            // Keep totals from before a restart
+            ActivityTracker.sectionObserver.observe(ActivityTracker.sections.get(name).element);
+            return;
+        }
+        
+        ActivityTracker.sections.set(name, {
+            name: name,
+            element: element,
+            cssSelector: getCssSelector(element),
+            isVisible: false,
+            visibleSince: null,
+            totalVisibleTime: 0,
+            viewCount: 0,
+            visibleRatio: 0,
+            viewTimer: null
+        });
+        ActivityTracker.sectionObserver.observe(element);
+    });
+}
+
+/**
+ * Stop observing sections, keeping the totals collected so far
+ */
+function stopSectionTracking() {
+    if (ActivityTracker.sectionObserver) {
+        ActivityTracker.sectionObserver.disconnect();
+        ActivityTracker.sectionObserver = null;
+    }
+    ActivityTracker.sections.forEach(section => {
+        stopSectionVisibility(section);
+        section.isVisible = false;
+    });
+}
+
+/**
+ * Find the tracked section for an element
+ * @param {Element} element - Observed element
+ * @returns {Object|undefined} Section state
+ */
+function findSection(element) {
+    for (const section of ActivityTracker.sections.values()) {
+        if (section.element === element) {
+            return section;
+        }
+    }
+}
+
+/**
+ * IntersectionObserver callback for tracked sections
+ * @param {Array<IntersectionObserverEntry>} entries - Visibility changes
+ */
+function handleSectionIntersection(entries) {
+    const visibleRatio = ActivityTracker.config.sectionTracking.visibleRatio;
+    
+    entries.forEach(entry => {
+        const section = findSection(entry.target);
+        if (!section) {
+            return;
+        }
+        
+        // Sections taller than the viewport count as visible once they fill enough of it
+        const viewportHeight = entry.rootBounds ? entry.rootBounds.height : window.innerHeight;
+        const fillsViewport = viewportHeight > 0 && entry.intersectionRect.height / viewportHeight >= visibleRatio;
+        const isVisible = entry.isIntersecting && (entry.intersectionRatio >= visibleRatio || fillsViewport);
+        
+        section.visibleRatio = entry.intersectionRatio;
+        
+        if (isVisible && !section.isVisible) {
+            section.isVisible = true;
+            if (document.visibilityState !== 'hidden') {
+                startSectionVisibility(section);
+            }
+        } else if (!isVisible && section.isVisible) {
+            section.isVisible = false;
+            stopSectionVisibility(section);
+        }
+    });
+}
+
+/**
+ * Start timing a visible section, emitting SECTION_VIEW after the minimum time
+ * @param {Object} section - Section state
+ */
+function startSectionVisibility(section) {
+    section.visibleSince = Date.now();
+    section.viewTimer = setTimeout(() => {
+        section.viewTimer = null;
+        section.viewCount += 1;
+        trackSectionView(section);
+    }, ActivityTracker.config.sectionTracking.minVisibleTime);
+}
+
+/**
+ * Stop timing a section and add the elapsed time to its total
+ * @param {Object} section - Section state
+ */
+function stopSectionVisibility(section) {
+    clearTimeout(section.viewTimer);
+    section.viewTimer = null;
+    
+    if (section.visibleSince !== null) {
+        section.totalVisibleTime += Date.now() - section.visibleSince;
+        section.visibleSince = null;
+    }
+}
+
+/**
+ * Pause or resume section timers when the tab is hidden or shown
+ */
+function handleSectionPageVisibility() {
+    ActivityTracker.sections.forEach(section => {
+        if (!section.isVisible) {
+            return;
+        }
+        if (document.visibilityState === 'hidden') {
+            stopSectionVisibility(section);
+        } else if (section.visibleSince === null) {
+            startSectionVisibility(section);
+        }
+    });
+}
+
+/**
+ * Record a SECTION_VIEW event
+ * @param {Object} section - Section state
+ */
+function trackSectionView(section) {
+    const sectionEvent = {
+        timestamp: new Date().toISOString(),
+        type_of_event: 'SECTION_VIEW',
+        event_object: 'SECTION',
+        section: section.name,
+        cssSelector: section.cssSelector,
+        visibleRatio: Math.round(section.visibleRatio * 100) / 100,
+        viewCount: section.viewCount,
+        totalVisibleTime: getSectionVisibleTime(section)
+    };
+    
+    if (!recordEvent(sectionEvent)) {
+        return;
+    }
+    
+    if (ActivityTracker.config.logToConsole) {
+        console.log('%c👁️ SECTION VIEW', 'background: #3F51B5; color: white; padding: 4px 8px; border-radius: 3px;');
+        console.log('Timestamp:', sectionEvent.timestamp);
+        console.log('Event Type:', sectionEvent.type_of_event);
+        console.log('Section:', sectionEvent.section, `(${Math.round(sectionEvent.visibleRatio * 100)}% visible)`);
+        console.log('---');
+    }
+}
+
+/**
+ * Get cumulative visible time of a section, including the current view
+ * @param {Object} section - Section state
+ * @returns {number} Visible time in milliseconds
+ */
+function getSectionVisibleTime(section) {
+    const current = section.visibleSince !== null ? Date.now() - section.visibleSince : 0;
+    return section.totalVisibleTime + current;
+}
+
+/**
+ * Get dwell time for every tracked section
+ * @returns {Array} Section name, selector, views and visible seconds
+ */
+function getSectionDwellTimes() {
+    return Array.from(ActivityTracker.sections.values()).map(section => ({
+        section: section.name,
+        cssSelector: section.cssSelector,
+        views: section.viewCount,
+        visibleSeconds: Math.round(getSectionVisibleTime(section) / 100) / 10
+    }));
+}
+
+// ===================================================================
+// EVENT LISTENERS REGISTRATION
+// ===================================================================
+
+/**
+ * Register all event listeners for tracking
+ * Built-in handlers are plugins, so each group can be disabled or replaced
+ */
+function registerEventListeners() {
+    getBuiltInPlugins().forEach(plugin => {
+        // A plugin registered under the same name replaces the built-in one
+        if (!ActivityTracker.plugins.has(plugin.name)) {
+            registerPlugin(plugin);
+        }
+    });
+    
+    console.log('✅ All event listeners registered successfully\n');
+}
+
+/**
+ * Get the built-in handlers as plugins
+ * @returns {Array<Object>} Built-in plugin definitions
+ */
+function getBuiltInPlugins() {
+    return [
+        {
+            // Instrument same-origin iframes for the plugins marked with frames: true
+            name: 'frames',
+            isEnabled: config => config.trackFrames,
+            frames: true,
+            listeners: [
+                { target: document, type: 'load', handler: handleFrameLoad, options: true }
+            ],
+            setup: startFrameTracking,
+            teardown: releaseFrames
+        },
+        {
+            // Track all click events (using event capturing)
+            name: 'click',
+            frames: true,
+            listeners: [
+                { target: document, type: 'click', handler: handleClickEvent, options: true }
+            ]
+        },
+        {
+            // Measure engaged time: visible, focused and not idle
+            name: 'engagement',
+            isEnabled: config => config.engagement.enabled,
+            listeners: [
+                { target: document, type: 'visibilitychange', handler: handleEngagementChange },
+                { target: window, type: 'focus', handler: handleEngagementChange },
+                { target: window, type: 'blur', handler: handleEngagementChange },
+                { target: document, type: 'mousedown', handler: handleEngagementInput, options: { capture: true, passive: true } },
+                { target: document, type: 'mousemove', handler: handleEngagementInput, options: { capture: true, passive: true } },
+                { target: document, type: 'keydown', handler: handleEngagementInput, options: { capture: true, passive: true } },
+                { target: document, type: 'touchstart', handler: handleEngagementInput, options: { capture: true, passive: true } },
+                { target: document, type: 'wheel', handler: handleEngagementInput, options: { capture: true, passive: true } },
+                { target: document, type: 'scroll', handler: handleEngagementInput, options: { capture: true, passive: true } },
+                { target: window, type: 'pagehide', handler: finalizeEngagement },
+                { target: window, type: 'pageshow', handler: handleEngagementPageShow }
+            ],
+            setup: startEngagementTracking,
+            teardown: stopEngagementTracking
+        },
+        {
+            // Collect load timing and Core Web Vitals, reported when the page is hidden
+            name: 'performance',
+            isEnabled: config => config.performance.enabled,
+            listeners: [
+                { target: window, type: 'pagehide', handler: finalizePerformance },
+                { target: document, type: 'visibilitychange', handler: handlePerformanceVisibilityChange }
+            ],
+            setup: startPerformanceObservers,
+            teardown: stopPerformanceObservers
+        },
+        {
+            // Capture JS errors, unhandled rejections and failed resources
+            name: 'errors',
+            isEnabled: config => config.errorTracking.enabled,
+            listeners: [
+                // Resource errors don't bubble; window only sees them in the capture phase
+                { target: window, type: 'error', handler: handleErrorEvent, options: true },
+                { target: window, type: 'unhandledrejection', handler: handleRejectionEvent }
+            ],
+            setup: captureEarlyErrors
+        },
+        {
+            // Derive rage, dead and error clicks from the click stream
+            name: 'frustration',
+            isEnabled: config => config.frustration.enabled,
+            listeners: [
+                { target: document, type: 'click', handler: handleFrustrationClick, options: true },
+                { target: window, type: 'error', handler: handleFrustrationError },
+                { target: window, type: 'unhandledrejection', handler: handleFrustrationError },
+                { target: window, type: 'pagehide', handler: stopFrustrationDetection }
+            ],
+            teardown: stopFrustrationDetection
+        },
+        {
+            // Track hover events on interactive elements
+            name: 'hover',
+            frames: true,
+            listeners: [
+                { target: document, type: 'mouseover', handler: handleHoverEvent, options: true }
+            ]
+        },
+        {
+            // Track raw scroll positions
+            name: 'scroll',
+            isEnabled: config => config.trackScrolling && config.scrollTrackingMode === 'raw',
+            listeners: [
+                { target: window, type: 'scroll', handler: throttle(handleScrollEvent, 500) }
+            ]
+        },
+        {
+            // Track scroll-depth milestones
+            name: 'scrollDepth',
+            isEnabled: config => config.trackScrolling && config.scrollTrackingMode !== 'raw',
+            listeners: [
+                { target: window, type: 'scroll', handler: handleScrollDepthEvent, options: { passive: true } },
+                { target: window, type: 'pagehide', handler: trackMaxScrollDepth }
+            ],
+            setup: initScrollDepthTracking,
+            teardown: stopScrollDepthTracking
+        },
+        {
+            // Track form interactions
+            name: 'form',
+            frames: true,
+            isEnabled: config => config.trackFormInputs,
+            listeners: [
+                { target: document, type: 'focus', handler: handleFocusEvent, options: true },
+                { target: document, type: 'blur', handler: handleBlurEvent, options: true },
+                { target: document, type: 'change', handler: handleChangeEvent, options: true },
+                { target: document, type: 'submit', handler: handleSubmitEvent, options: true },
+                { target: document, type: 'keydown', handler: handleFormKeydown, options: true },
+                { target: window, type: 'pagehide', handler: reportAbandonedForms }
+            ]
+        },
+        {
+            // Track keyboard events
+            name: 'keyboard',
+            frames: true,
+            listeners: [
+                { target: document, type: 'keydown', handler: handleKeyboardEvent, options: true }
+            ]
+        },
+        {
+            // Track playback of video and audio (media events don't bubble, so capture)
+            name: 'media',
+            frames: true,
+            isEnabled: config => config.media.enabled,
+            listeners: ['play', 'pause', 'timeupdate', 'seeking', 'seeked', 'ended', 'ratechange', 'volumechange']
+                .map(type => ({ target: document, type: type, handler: handleMediaEvent, options: true }))
+                .concat([{ target: window, type: 'pagehide', handler: finalizeMedia }]),
+            setup: startMediaTracking,
+            teardown: stopMediaTracking
+        },
+        {
+            // Track mouse movement (optional - can generate many events)
+            name: 'mouseMove',
+            isEnabled: config => config.trackMouseMovement,
+            listeners: [
+                { target: document, type: 'mousemove', handler: throttle(handleMouseMoveEvent, 1000) }
+            ]
+        },
+        {
+            // Track viewport resize
+            name: 'resize',
+            listeners: [
+                { target: window, type: 'resize', handler: throttle(handleResizeEvent, 500) }
+            ]
+        },
+        {
+            // Track hash and History API navigation as virtual page views
+            name: 'navigation',
+            isEnabled: config => config.trackVirtualPageViews,
+            listeners: [
+                { target: window, type: 'hashchange', handler: () => handleLocationChange('hashchange') },
+                { target: window, type: 'popstate', handler: () => handleLocationChange('popstate') },
+                // Anchor links whose default is prevented (e.g. smooth-scroll scripts) never change the hash
+                { target: window, type: 'click', handler: handleAnchorNavigation }
+            ],
+            setup: wrapHistoryMethods,
+            teardown: restoreHistoryMethods
+        },
+        {
+            // Track which sections are actually read
+            name: 'sections',
+            isEnabled: config => config.sectionTracking.enabled,
+            listeners: [
+                // Hidden tabs don't count as reading time
+                { target: document, type: 'visibilitychange', handler: handleSectionPageVisibility }
+            ],
+            setup: initSectionTracking,
+            teardown: stopSectionTracking
+        },
+        {
+            // Record the DOM for replay (opt-in)
+            name: 'recording',
+            isEnabled: config => config.recording.enabled,
+            consent: 'recording',
+            listeners: [
+                { target: document, type: 'scroll', handler: handleRecordingScroll, options: { capture: true, passive: true } },
+                { target: window, type: 'resize', handler: throttle(handleRecordingResize, 100) },
+                { target: document, type: 'mousemove', handler: throttle(handleRecordingPointer, 50), options: { passive: true } },
+                { target: document, type: 'input', handler: handleRecordingInput, options: true },
+                { target: document, type: 'change', handler: handleRecordingInput, options: true }
+            ],
+            setup: startRecording,
+            teardown: stopRecording
+        }
+    ];
+}
+
+// ===================================================================
+// CLICK EVENT HANDLER
+// ===================================================================
+
+/**
+ * Handle click events on all elements
+ * @param {Event} event - The click event
+ */
+function handleClickEvent(event) {
+    const element = getEventTarget(event);
+    
+    // Get event object type
+    const eventObject = getEventObjectType(element);
+    
+    // Create click event object
+    const clickEvent = {
+        timestamp: new Date().toISOString(),
+        type_of_event: 'CLICK',
+        event_object: eventObject,
+        element: {
+            tagName: getTagName(element),
+            id: element.id || null,
+            className: getClassName(element) || null,
+            text: getElementText(element),
+            href: getElementHref(element),
+            type: element.type || null
+        },
+        position: {
+            x: event.clientX,
+            y: event.clientY,
+            pageX: event.pageX,
+            pageY: event.pageY
+        },
+        cssSelector: getCssSelector(element),
+        xpath: getXPath(element),
+        link: classifyLink(element),
+        computedStyles: ActivityTracker.config.logDetailedInfo ? getComputedStyleInfo(element) : null
+    };
+    
+    // Add to events array
+    if (!recordEvent(clickEvent, element)) {
+        return;
+    }
+    
+    // The page may be unloaded before the next flush: send the click now
+    if (clickEvent.link && (clickEvent.link.type === 'outbound' || clickEvent.link.type === 'download')) {
+        flushEvents(true);
+    }
+    
+    // Log to console
+    if (ActivityTracker.config.logToConsole) {
+        console.log('%c👆 CLICK EVENT', 'background: #FF5722; color: white; padding: 4px 8px; border-radius: 3px;');
+        console.log('Timestamp:', clickEvent.timestamp);
+        console.log('Event Type:', clickEvent.type_of_event);
+        console.log('Event Object:', clickEvent.event_object);
+        console.log('Element:', element);
+        console.table({
+            'Tag': clickEvent.element.tagName,
+            'ID': clickEvent.element.id,
+            'Class': clickEvent.element.className,
+            'Text': clickEvent.element.text,
+            'Position': `(${clickEvent.position.x}, ${clickEvent.position.y})`,
+            'CSS Selector': clickEvent.cssSelector,
+            'Link': clickEvent.link ? `${clickEvent.link.type}${clickEvent.link.domain ? ` (${clickEvent.link.domain})` : ''}` : 'N/A'
+        });
+        
+        if (ActivityTracker.config.logDetailedInfo) {
+            console.log('Full Event Data:', clickEvent);
+        }
+        console.log('---');
+    }
+}
+
+// ===================================================================
+// LINK CLASSIFICATION
+// ===================================================================
+
+/**
+ * Describe where a link leads
+ * @param {Element} element - Clicked element (the link or something inside it)
+ * @returns {Object|null} { type, href, domain, extension } or null when no link was clicked.
+ *   type is 'internal', 'anchor', 'outbound', 'download', 'mailto' or 'tel'
+ */
+function classifyLink(element) {
+    const link = closestComposed(element, 'a[href], area[href]');
+    if (!link) {
+        return null;
+    }
+    
+    let url;
+    try {
+        url = new URL(link.getAttribute('href'), link.baseURI);
+    } catch (error) {
+        return null;
+    }
+    
+    const info = { type: null, href: url.href, domain: url.hostname || null, extension: null };
+    
+    if (url.protocol === 'mailto:' || url.protocol === 'tel:') {
+        // The address itself is personal data: keep only the scheme
+        info.type = url.protocol.slice(0, -1);
+        info.href = null;
+        info.domain = null;
+        return info;
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        return null;                                     // javascript:, data:, ...
+    }
+    
+    const extension = (/\.([a-z0-9]+)$/i.exec(url.pathname) || [])[1];
+    if (link.hasAttribute('download') || (extension && ActivityTracker.config.links.downloadExtensions.includes(extension.toLowerCase()))) {
+        info.type = 'download';
+        info.extension = extension ? extension.toLowerCase() : null;
+        return info;
+    }
+    
+    // Links inside an iframe are compared with the frame's own page (about:blank frames use the top page)
+    const view = link.ownerDocument.defaultView;
+    const location = view && /^https?:$/.test(view.location.protocol) ? view.location : window.location;
+    const internal = url.hostname === location.hostname || ActivityTracker.config.links.internalDomains.includes(url.hostname);
+    if (!internal) {
+        info.type = 'outbound';
+    } else if (url.hash && url.pathname === location.pathname && url.search === location.search) {
+        info.type = 'anchor';
+    } else {
+        info.type = 'internal';
+    }
+    return info;
+}
+
+/**
+ * Count clicked links by type and outbound clicks by domain (for the summary report)
+ * @returns {Object} { types: { type: count }, destinations: [{ Domain, Clicks, 'Top URL' }] }
+ */
+function getLinkSummary() {
+    const types = {};
+    const domains = new Map();
+    
+    ActivityTracker.events
+        .filter(event => event.type_of_event === 'CLICK' && event.link)
+        .forEach(event => {
+            types[event.link.type] = (types[event.link.type] || 0) + 1;
+            if (event.link.type !== 'outbound') {
+                return;
+            }
+            
+            const entry = domains.get(event.link.domain) || { clicks: 0, urls: {} };
+            entry.clicks++;
+            entry.urls[event.link.href] = (entry.urls[event.link.href] || 0) + 1;
+            domains.set(event.link.domain, entry);
+        });
+    
+    const destinations = Array.from(domains, ([domain, entry]) => ({
+        'Domain': domain,
+        'Clicks': entry.clicks,
+        'Top URL': Object.keys(entry.urls).sort((a, b) => entry.urls[b] - entry.urls[a])[0]
+    }));
+    destinations.sort((a, b) => b.Clicks - a.Clicks);
+    
+    return { types: types, destinations: destinations.slice(0, ActivityTracker.config.links.topDestinations) };
+}
+
+// ===================================================================
+// FRUSTRATION SIGNALS (RAGE, DEAD AND ERROR CLICKS)
+// ===================================================================
+
+// Elements users expect to react to a click
+const INTERACTIVE_SELECTOR = 'a, button, input, select, textarea, label, summary, [onclick], [tabindex], [contenteditable], ' +
+    '[role="button"], [role="link"], [role="tab"], [role="menuitem"], [role="checkbox"], [role="option"]';
+
+// Elements whose native behaviour (focus, toggle, following a link) is the response
+const NATIVE_RESPONSE_SELECTOR = 'input, select, textarea, label, option, summary, [contenteditable], a[href]';
+
+/**
+ * Check whether an element looks clickable
+ * @param {Element} element - The DOM element
+ * @returns {boolean} Whether the element (or an ancestor) is interactive
+ */
+function isInteractiveElement(element) {
+    const view = element.ownerDocument.defaultView || window;
+    return Boolean(closestComposed(element, INTERACTIVE_SELECTOR)) || view.getComputedStyle(element).cursor === 'pointer';
+}
+
+/**
+ * Watch a click for rage, dead and error signals
+ * @param {Event} event - The click event
+ */
+function handleFrustrationClick(event) {
+    const element = getEventTarget(event);
+    if (!element || !element.tagName || isElementIgnored(element)) {
+        return;
+    }
+    
+    // Details are captured now: the element may be gone when a signal is reported
+    const click = {
+        element: element,
+        time: performance.now(),
+        timestamp: new Date().toISOString(),
+        url: window.location.href,
+        eventObject: getEventObjectType(element),
+        cssSelector: getCssSelector(element),
+        xpath: getXPath(element),
+        position: { x: event.clientX, y: event.clientY, pageX: event.pageX, pageY: event.pageY },
+        responded: false,
+        errored: false
+    };
+    
+    ActivityTracker.frustration.lastClick = click;
+    detectRageClick(click);
+    watchClickResponse(click);
+}
+
+/**
+ * Check whether two clicks hit the same element or area
+ * @param {Object} a - Click
+ * @param {Object} b - Click
+ * @returns {boolean} Whether they count towards the same rage click
+ */
+function isSameClickTarget(a, b) {
+    if (a.element === b.element) {
+        return true;
+    }
+    const distance = Math.hypot(a.position.pageX - b.position.pageX, a.position.pageY - b.position.pageY);
+    return distance <= ActivityTracker.config.frustration.rageClickRadius;
+}
+
+/**
+ * Add a click to the rage detection (reported once the burst is over)
+ * @param {Object} click - Click details
+ */
+function detectRageClick(click) {
+    const settings = ActivityTracker.config.frustration;
+    const state = ActivityTracker.frustration;
+    
+    // A burst in progress keeps growing while the clicks continue
+    if (state.rageBurst) {
+        const last = state.rageBurst[state.rageBurst.length - 1];
+        if (isSameClickTarget(last, click) && click.time - last.time <= settings.rageClickWindow) {
+            state.rageBurst.push(click);
+            scheduleRageClick();
+            return;
+        }
+        reportRageClick();
+    }
+    
+    state.recentClicks = state.recentClicks.filter(other => click.time - other.time <= settings.rageClickWindow);
+    state.recentClicks.push(click);
+    
+    const burst = state.recentClicks.filter(other => isSameClickTarget(other, click));
+    if (burst.length >= settings.rageClickCount) {
+        state.rageBurst = burst;
+        state.recentClicks = [];
+        scheduleRageClick();
+    }
+}
+
+/**
+ * (Re)start the timer that ends the current rage burst
+ */
+function scheduleRageClick() {
+    const state = ActivityTracker.frustration;
+    clearTimeout(state.rageTimer);
+    state.rageTimer = setTimeout(reportRageClick, ActivityTracker.config.frustration.rageClickWindow);
+}
+
+/**
+ * Record the current rage burst as a RAGE_CLICK
+ */
+function reportRageClick() {
+    const state = ActivityTracker.frustration;
+    const burst = state.rageBurst;
+    
+    clearTimeout(state.rageTimer);
+    state.rageBurst = null;
+    state.rageTimer = null;
+    if (!burst) {
+        return;
+    }
+    
+    recordFrustrationEvent('RAGE_CLICK', burst[0], {
+        clickCount: burst.length,
+        duration: Math.round(burst[burst.length - 1].time - burst[0].time)
+    });
+}
+
+/**
+ * Wait for a response to a click before calling it dead
+ * @param {Object} click - Click details
+ */
+function watchClickResponse(click) {
+    // Focusing a field, toggling a checkbox or following a link needs no DOM change
+    if (closestComposed(click.element, NATIVE_RESPONSE_SELECTOR)) {
+        return;
+    }
+    
+    const state = ActivityTracker.frustration;
+    if (!state.observer) {
+        state.observer = new MutationObserver(handleFrustrationMutations);
+        state.observer.observe(document.documentElement, { childList: true, attributes: true, characterData: true, subtree: true });
+    }
+    
+    state.pendingClicks.push(click);
+    click.timer = setTimeout(() => checkClickResponse(click), ActivityTracker.config.frustration.deadClickTimeout);
+}
+
+/**
+ * Count DOM changes (other than the tracker's own) as a response to pending clicks
+ * @param {Array<MutationRecord>} mutations - Observed mutations
+ */
+function handleFrustrationMutations(mutations) {
+    const isPageChange = mutation => {
+        const target = mutation.target.nodeType === Node.ELEMENT_NODE ? mutation.target : mutation.target.parentElement;
+        if (isElementIgnored(target)) {
+            return false;
+        }
+        // Our download links and overlays are added to the body with the ignore attribute
+        const nodes = [...mutation.addedNodes, ...mutation.removedNodes];
+        return nodes.length === 0 || nodes.some(node => node.nodeType !== Node.ELEMENT_NODE || !node.hasAttribute(ActivityTracker.config.privacy.ignoreAttribute));
+    };
+    
+    if (mutations.some(isPageChange)) {
+        ActivityTracker.frustration.pendingClicks.forEach(click => {
+            click.responded = true;
+        });
+    }
+}
+
+/**
+ * Check whether a request (other than to our collector) started after a given time
+ * @param {number} time - performance.now() time
+ * @returns {boolean} Whether there was network activity
+ */
+function hasNetworkActivitySince(time) {
+    if (!performance.getEntriesByType) {
+        return false;
+    }
+    const endpoint = ActivityTracker.config.transport.endpoint;
+    return performance.getEntriesByType('resource').some(entry => entry.startTime >= time && !entry.name.startsWith(endpoint));
+}
+
+/**
+ * Report a click as dead when nothing happened since
+ * @param {Object} click - Click details
+ */
+function checkClickResponse(click) {
+    const state = ActivityTracker.frustration;
+    state.pendingClicks = state.pendingClicks.filter(pending => pending !== click);
+    if (state.pendingClicks.length === 0 && state.observer) {
+        state.observer.disconnect();
+        state.observer = null;
+    }
+    
+    const navigated = click.url !== window.location.href;
+    if (click.responded || click.errored || navigated || hasNetworkActivitySince(click.time)) {
+        return;
+    }
+    
+    recordFrustrationEvent('DEAD_CLICK', click, {
+        reason: isInteractiveElement(click.element) ? 'noResponse' : 'nonInteractive',
+        timeout: ActivityTracker.config.frustration.deadClickTimeout
+    });
+}
+
+/**
+ * Report a JS error that follows a click as an ERROR_CLICK
+ * @param {ErrorEvent|PromiseRejectionEvent} event - The error event
+ */
+function handleFrustrationError(event) {
+    const click = ActivityTracker.frustration.lastClick;
+    const delay = click ? performance.now() - click.time : Infinity;
+    if (!click || click.errored || delay > ActivityTracker.config.frustration.errorClickWindow) {
+        return;
+    }
+    click.errored = true;
+    
+    const error = event.type === 'unhandledrejection' ? event.reason : event.error;
+    recordFrustrationEvent('ERROR_CLICK', click, {
+        error: {
+            message: String(event.message || (error && error.message) || error).substring(0, 200),
+            source: event.filename || null,
+            line: Number.isInteger(event.lineno) ? event.lineno : null
+        },
+        delay: Math.round(delay)
+    });
+}
+
+/**
+ * Report a pending rage burst and drop pending dead-click checks
+ * (leaving the page counts as a response)
+ */
+function stopFrustrationDetection() {
+    const state = ActivityTracker.frustration;
+    
+    reportRageClick();
+    state.pendingClicks.forEach(click => clearTimeout(click.timer));
+    state.pendingClicks = [];
+    state.recentClicks = [];
+    state.lastClick = null;
+    if (state.observer) {
+        state.observer.disconnect();
+        state.observer = null;
+    }
+}
+
+/**
+ * Record a RAGE_CLICK, DEAD_CLICK or ERROR_CLICK event
+ * @param {string} type - Event type
+ * @param {Object} click - Click the signal refers to
+ * @param {Object} details - Type-specific fields
+ */
+function recordFrustrationEvent(type, click, details) {
+    const element = click.element;
+    
+    const frustrationEvent = {
+        timestamp: new Date().toISOString(),
+        type_of_event: type,
+        event_object: click.eventObject,
+        element: {
+            tagName: getTagName(element),
+            id: element.id || null,
+            className: getClassName(element) || null,
+            text: getElementText(element)
+        },
+        position: click.position,
+        cssSelector: click.cssSelector,
+        xpath: click.xpath,
+        clickTimestamp: click.timestamp,
+        ...details
+    };
+    
+    if (!recordEvent(frustrationEvent, element)) {
+        return;
+    }
+    
+    if (ActivityTracker.config.logToConsole) {
+        console.log(`%c😤 ${type.replace('_', ' ')}`, 'background: #B71C1C; color: white; padding: 4px 8px; border-radius: 3px;');
+        console.log('Timestamp:', frustrationEvent.timestamp);
+        console.log('Event Type:', frustrationEvent.type_of_event);
+        console.log('CSS Selector:', frustrationEvent.cssSelector);
+        console.log('Details:', details);
+        console.log('---');
+    }
+}
+
+/**
+ * Count frustration signals by type and selector
+ * @returns {Array<Object>} Rows sorted by count (most frequent first)
+ */
+function getFrustrationSummary() {
+    const rows = new Map();
+    ActivityTracker.events
+        .filter(event => ['RAGE_CLICK', 'DEAD_CLICK', 'ERROR_CLICK'].includes(event.type_of_event))
+        .forEach(event => {
+            const key = `${event.type_of_event}|${event.cssSelector}`;
+            const row = rows.get(key) || { 'Signal': event.type_of_event, 'Selector': event.cssSelector, 'Count': 0 };
+            row.Count++;
+            rows.set(key, row);
+        });
+    return Array.from(rows.values()).sort((a, b) => b.Count - a.Count);
+}
+
+// ===================================================================
+// HOVER EVENT HANDLER
+// ===================================================================
+
+/**
+ * Handle hover events on elements
+ * @param {Event} event - The mouseover event
+ */
+function handleHoverEvent(event) {
+    const element = getEventTarget(event);
+    
+    // Only track hover on interactive elements
+    const interactiveTags = ['a', 'button', 'input', 'select', 'textarea'];
+    if (!interactiveTags.includes(getTagName(element))) {
+        return;
+    }
+    
+    const eventObject = getEventObjectType(element);
+    
+    const hoverEvent = {
+        timestamp: new Date().toISOString(),
+        type_of_event: 'HOVER',
+        event_object: eventObject,
+        element: {
+            tagName: getTagName(element),
+            id: element.id || null,
+            className: getClassName(element) || null
+        },
+        cssSelector: getCssSelector(element),
+        xpath: getXPath(element)
+    };
+    
+    if (!recordEvent(hoverEvent, element)) {
+        return;
+    }
+    
+    if (ActivityTracker.config.logToConsole) {
+        console.log('%c🖱️ HOVER', 'background: #9C27B0; color: white; padding: 4px 8px; border-radius: 3px;');
+        console.log('Timestamp:', hoverEvent.timestamp);
+        console.log('Event Type:', hoverEvent.type_of_event);
+        console.log('Event Object:', hoverEvent.event_object);
+        console.log('Element:', element.tagName, getCssSelector(element));
+        console.log('---');
+    }
+}
+
+// ===================================================================
+// SCROLL EVENT HANDLER
+// ===================================================================
+
+/**
+ * Handle scroll events
+ */
+function handleScrollEvent() {
+    const scrollEvent = {
+        timestamp: new Date().toISOString(),
+        type_of_event: 'SCROLL',
+        event_object: 'PAGE',
+        position: {
+            scrollY: window.scrollY,
+            scrollX: window.scrollX,
+            scrollPercentage: getScrollPercentage()
+        },
+        documentHeight: getDocumentHeight(),
+        viewportHeight: window.innerHeight
+    };
+    
+    if (!recordEvent(scrollEvent)) {
+        return;
+    }
+    
+    if (ActivityTracker.config.logToConsole) {
+        console.log('%c📜 SCROLL', 'background: #00BCD4; color: white; padding: 4px 8px; border-radius: 3px;');
+        console.log('Timestamp:', scrollEvent.timestamp);
+        console.log('Event Type:', scrollEvent.type_of_event);
+        console.log('Event Object:', scrollEvent.event_object);
+        console.log('Position:', `${scrollEvent.position.scrollY}px (${scrollEvent.position.scrollPercentage}%)`);
+        console.log('---');
+    }
+}
+
+// ===================================================================
+// SCROLL DEPTH TRACKING
+// ===================================================================
+
+/**
+ * Get the full document height, measured on the root element
+ * @returns {number} Document height in pixels
+ */
+function getDocumentHeight() {
+    const root = document.documentElement;
+    return Math.max(root.scrollHeight, document.body ? document.body.scrollHeight : 0);
+}
+
+/**
+ * Get how far the page is scrolled, as a percentage of the scrollable distance
+ * @returns {number} 0-100 (100 when the page doesn't scroll)
+ */
+function getScrollPercentage() {
+    const scrollable = getDocumentHeight() - window.innerHeight;
+    if (scrollable <= 0) {
+        return 100;
+    }
+    const scrollTop = window.scrollY || document.documentElement.scrollTop;
+    return Math.min(100, Math.max(0, Math.round((scrollTop / scrollable) * 100)));
+}
+
+/**
+ * Get how much of the page has been seen (bottom of the viewport)
+ * @returns {number} 0-100 (100 when the whole page fits in the viewport)
+ */
+function getScrollDepth() {
+    const documentHeight = getDocumentHeight();
+    if (documentHeight <= window.innerHeight) {
+        return 100;
+    }
+    const scrollTop = window.scrollY || document.documentElement.scrollTop;
+    return Math.min(100, Math.round(((scrollTop + window.innerHeight) / documentHeight) * 100));
+}
+
+/**
+ * Start scroll-depth tracking for the page
+ */
+function initScrollDepthTracking() {
+    // Content that grows (or shrinks) after load changes the depth without a scroll
+    if ('ResizeObserver' in window) {
+        ActivityTracker.scrollDepth.observer = new ResizeObserver(handleScrollDepthEvent);
+        ActivityTracker.scrollDepth.observer.observe(document.documentElement);
+    }
+    
+    checkScrollDepth();
+}
+
+/**
+ * Stop watching for document size changes
+ */
+function stopScrollDepthTracking() {
+    if (ActivityTracker.scrollDepth.observer) {
+        ActivityTracker.scrollDepth.observer.disconnect();
+        ActivityTracker.scrollDepth.observer = null;
+    }
+}
+
+/**
+ * Coalesce scroll/resize notifications into one check per frame
+ */
+function handleScrollDepthEvent() {
+    const state = ActivityTracker.scrollDepth;
+    if (state.frameRequested) {
+        return;
+    }
+    state.frameRequested = true;
+    requestAnimationFrame(() => {
+        state.frameRequested = false;
+        checkScrollDepth();
+    });
+}
+
+/**
+ * Emit a SCROLL_DEPTH event for each newly crossed threshold
+ */
+function checkScrollDepth() {
+    const state = ActivityTracker.scrollDepth;
+    const depth = getScrollDepth();
+    
+    state.maxDepth = Math.max(state.maxDepth, depth);
+    
+    ActivityTracker.config.scrollDepthThresholds.forEach(threshold => {
+        // A threshold crossed while paused is reported on the next scroll after resume()
+        if (depth >= threshold && !state.reached.includes(threshold) && trackScrollDepth(threshold)) {
+            state.reached.push(threshold);
+        }
+    });
+}
+
+/**
+ * Record a SCROLL_DEPTH event
+ * @param {number|null} threshold - Threshold crossed (null for the final max-depth event)
+ * @returns {boolean} Whether the event was recorded
+ */
+function trackScrollDepth(threshold) {
+    const depthEvent = {
+        timestamp: new Date().toISOString(),
+        type_of_event: 'SCROLL_DEPTH',
+        event_object: 'PAGE',
+        threshold: threshold,
+        maxDepth: ActivityTracker.scrollDepth.maxDepth,
+        final: threshold === null,
+        documentHeight: getDocumentHeight(),
+        viewportHeight: window.innerHeight
+    };
+    
+    if (!recordEvent(depthEvent)) {
+        return false;
+    }
+    
+    if (ActivityTracker.config.logToConsole) {
+        console.log('%c📜 SCROLL DEPTH', 'background: #00BCD4; color: white; padding: 4px 8px; border-radius: 3px;');
+        console.log('Timestamp:', depthEvent.timestamp);
+        console.log('Event Type:', depthEvent.type_of_event);
+        console.log('Depth:', threshold === null ? `max ${depthEvent.maxDepth}%` : `${threshold}%`);
+        console.log('---');
+    }
+    return true;
+}
+
+/**
+ * Record the maximum depth of the page view that is ending, then start over
+ */
+function trackMaxScrollDepth() {
+    const state = ActivityTracker.scrollDepth;
+    if (state.reached.length === 0 && state.maxDepth === 0) {
+        return;
+    }
+    
+    trackScrollDepth(null);
+    state.maxDepth = 0;
+    state.reached = [];
+}
+
+// ===================================================================
+// FORM EVENT HANDLERS
+// ===================================================================
+
+/**
+ * Handle focus event on form elements
+ * @param {Event} event - The focus event
+ */
+function handleFocusEvent(event) {
+    const element = getEventTarget(event);
+    
+    if (!['input', 'textarea', 'select'].includes(getTagName(element))) {
+        return;
+    }
+    
+    const eventObject = getEventObjectType(element);
+    
+    const focusEvent = {
+        timestamp: new Date().toISOString(),
+        type_of_event: 'FOCUS',
+        event_object: eventObject,
+        element: {
+            tagName: getTagName(element),
+            id: element.id || null,
+            name: element.name || null,
+            type: element.type || null
+        },
+        cssSelector: getCssSelector(element),
+        xpath: getXPath(element),
+        formSelector: element.form ? getCssSelector(element.form) : null,
+        visit: trackFieldFocus(element)
+    };
+    
+    if (!recordEvent(focusEvent, element)) {
+        return;
+    }
+    
+    if (ActivityTracker.config.logToConsole) {
+        console.log('%c🎯 FOCUS', 'background: #8BC34A; color: white; padding: 4px 8px; border-radius: 3px;');
+        console.log('Timestamp:', focusEvent.timestamp);
+        console.log('Event Type:', focusEvent.type_of_event);
+        console.log('Event Object:', focusEvent.event_object);
+        console.log('Element:', `${element.tagName} - ${element.name || element.id}`);
+        console.log('---');
+    }
+}
+
+/**
+ * Handle blur event on form elements
+ * @param {Event} event - The blur event
+ */
+function handleBlurEvent(event) {
+    const element = getEventTarget(event);
+    
+    if (!['input', 'textarea', 'select'].includes(getTagName(element))) {
+        return;
+    }
+    
+    const eventObject = getEventObjectType(element);
+    const fieldVisit = trackFieldBlur(element);
+    
+    const blurEvent = {
+        timestamp: new Date().toISOString(),
+        type_of_event: 'BLUR',
+        event_object: eventObject,
+        element: {
+            tagName: getTagName(element),
+            id: element.id || null,
+            name: element.name || null
+        },
+        cssSelector: getCssSelector(element),
+        xpath: getXPath(element),
+        formSelector: element.form ? getCssSelector(element.form) : null,
+        timeInField: fieldVisit ? fieldVisit.timeInField : null,
+        corrections: fieldVisit ? fieldVisit.corrections : null
+    };
+    
+    recordEvent(blurEvent, element);
+}
+
+/**
+ * Handle change event on form elements
+ * @param {Event} event - The change event
+ */
+function handleChangeEvent(event) {
+    const element = getEventTarget(event);
+    
+    const eventObject = getEventObjectType(element);
+    
+    const changeEvent = {
+        timestamp: new Date().toISOString(),
+        type_of_event: 'CHANGE',
+        event_object: eventObject,
+        element: {
+            tagName: getTagName(element),
+            id: element.id || null,
+            name: element.name || null,
+            type: element.type || null,
+            value: element.value?.substring(0, 50) || null // Limited for privacy
+        },
+        cssSelector: getCssSelector(element),
+        xpath: getXPath(element),
+        formSelector: element.form ? getCssSelector(element.form) : null
+    };
+    
+    if (!recordEvent(changeEvent, element)) {
+        return;
+    }
+    
+    if (ActivityTracker.config.logToConsole) {
+        console.log('%c✏️ CHANGE', 'background: #FFC107; color: black; padding: 4px 8px; border-radius: 3px;');
+        console.log('Timestamp:', changeEvent.timestamp);
+        console.log('Event Type:', changeEvent.type_of_event);
+        console.log('Event Object:', changeEvent.event_object);
+        console.log('Element:', `${element.name || element.id}`);
+        console.log('---');
+    }
+}
+
+/**
+ * Handle form submit event
+ * @param {Event} event - The submit event
+ */
+function handleSubmitEvent(event) {
+    const form = getEventTarget(event);
+    const progress = trackFormSubmit(form);
+    
+    const submitEvent = {
+        timestamp: new Date().toISOString(),
+        type_of_event: 'FORM_SUBMIT',
+        event_object: 'FORM',
+        form: {
+            id: form.id || null,
+            name: form.name || null,
+            action: form.action || null,
+            method: form.method || null
+        },
+        cssSelector: getCssSelector(form),
+        xpath: getXPath(form),
+        timeSpent: progress.timeSpent,
+        fieldsTouched: progress.fieldsTouched
+    };
+    
+    if (!recordEvent(submitEvent, form)) {
+        return;
+    }
+    
+    if (ActivityTracker.config.logToConsole) {
+        console.log('%c📤 FORM SUBMIT', 'background: #4CAF50; color: white; padding: 4px 8px; border-radius: 3px;');
+        console.log('Timestamp:', submitEvent.timestamp);
+        console.log('Event Type:', submitEvent.type_of_event);
+        console.log('Event Object:', submitEvent.event_object);
+        console.table(submitEvent.form);
+        console.log('---');
+    }
+}
+
+// ===================================================================
+// FORM ANALYTICS
+// ===================================================================
+
+/**
+ * Get the name a field is reported under
+ * @param {Element} field - Input, textarea or select
+ * @returns {string} name, id or CSS selector
+ */
+function getFormFieldName(field) {
+    return field.name || field.id || getCssSelector(field);
+}
+
+/**
+ * Get (or start) the progress of a form in this page view
+ * @param {HTMLFormElement} form - The form
+ * @returns {Object} { startedAt, touched, lastField, submitted }
+ */
+function getFormProgress(form) {
+    const progress = ActivityTracker.forms.progress;
+    if (!progress.has(form) || progress.get(form).submitted) {
+        progress.set(form, {
+            startedAt: Date.now(),
+            touched: new Set(),
+            lastField: null,
+            submitted: false
+        });
+    }
+    return progress.get(form);
+}
+
+/**
+ * Start timing a field and mark its form as started
+ * @param {Element} field - The focused field
+ * @returns {number|null} Visit number of the field (null for ignored fields)
+ */
+function trackFieldFocus(field) {
+    if (isElementIgnored(field)) {
+        return null;
+    }
+    
+    const fields = ActivityTracker.forms.fields;
+    const state = fields.get(field) || { visits: 0, focusedAt: null, corrections: 0 };
+    state.visits += 1;
+    state.focusedAt = performance.now();
+    state.corrections = 0;
+    fields.set(field, state);
+    
+    if (field.form) {
+        const progress = getFormProgress(field.form);
+        const name = getFormFieldName(field);
+        progress.touched.add(name);
+        progress.lastField = { name: name, cssSelector: getCssSelector(field) };
+    }
+    return state.visits;
+}
+
+/**
+ * Stop timing a field
+ * @param {Element} field - The field losing focus
+ * @returns {Object|null} { timeInField, corrections } or null when the focus was not seen
+ */
+function trackFieldBlur(field) {
+    const state = ActivityTracker.forms.fields.get(field);
+    if (!state || state.focusedAt === null) {
+        return null;
+    }
+    
+    const visit = {
+        timeInField: Math.round(performance.now() - state.focusedAt),
+        corrections: state.corrections
+    };
+    state.focusedAt = null;
+    return visit;
+}
+
+/**
+ * Count Backspace/Delete presses in the focused field as corrections
+ * @param {KeyboardEvent} event - The keydown event
+ */
+function handleFormKeydown(event) {
+    if (event.key !== 'Backspace' && event.key !== 'Delete') {
+        return;
+    }
+    
+    const state = ActivityTracker.forms.fields.get(getEventTarget(event));
+    if (state && state.focusedAt !== null) {
+        state.corrections += 1;
+    }
+}
+
+/**
+ * Mark a form as submitted
+ * @param {HTMLFormElement} form - The submitted form
+ * @returns {Object} { timeSpent, fieldsTouched } (timeSpent is null when no field was focused)
+ */
+function trackFormSubmit(form) {
+    const progress = ActivityTracker.forms.progress.get(form);
+    if (!progress || progress.submitted) {
+        return { timeSpent: null, fieldsTouched: 0 };
+    }
+    
+    progress.submitted = true;
+    return {
+        timeSpent: Date.now() - progress.startedAt,
+        fieldsTouched: progress.touched.size
+    };
+}
+
+/**
+ * Record FORM_ABANDON for every form that was started but not submitted (on pagehide)
+ */
+function reportAbandonedForms() {
+    const progress = ActivityTracker.forms.progress;
+    
+    progress.forEach((state, form) => {
+        if (state.submitted) {
+            return;
+        }
+        
+        recordEvent({
+            timestamp: new Date().toISOString(),
+            type_of_event: 'FORM_ABANDON',
+            event_object: 'FORM',
+            form: {
+                id: form.id || null,
+                name: form.name || null,
+                action: form.action || null,
+                method: form.method || null
+            },
+            cssSelector: getCssSelector(form),
+            xpath: getXPath(form),
+            lastField: state.lastField,
+            timeSpent: Date.now() - state.startedAt,
+            fieldsTouched: state.touched.size
+        }, form);
+    });
+    progress.clear();
+}
+
+/**
+ * Build the per-form completion and abandonment report
+ * @param {Array|Object|string} source - Optional events or export (defaults to the tracked events)
+ * @returns {Array<Object>} Per form: { form, submissions, abandonments, inProgress, completionRate,
+ *                          abandonmentRate, avgTimeToSubmit, lastFieldBeforeAbandon, fields }
+ */
+function getFormReport(source) {
+    const forms = new Map();
+    const getForm = selector => {
+        if (!forms.has(selector)) {
+            forms.set(selector, { submissions: 0, abandonments: 0, inProgress: 0, submitTimes: [], fields: new Map() });
+        }
+        return forms.get(selector);
+    };
+    const getField = (form, name) => {
+        if (!form.fields.has(name)) {
+            form.fields.set(name, { field: name, focuses: 0, revisits: 0, timeInField: 0, corrections: 0, changes: 0, abandonedHere: 0 });
+        }
+        return form.fields.get(name);
+    };
+    
+    getAnalysisEvents(source).forEach(event => {
+        const type = event.type_of_event;
+        
+        if (type === 'FORM_SUBMIT' || type === 'FORM_ABANDON') {
+            const form = getForm(event.cssSelector);
+            if (type === 'FORM_SUBMIT') {
+                form.submissions += 1;
+                if (typeof event.timeSpent === 'number') {
+                    form.submitTimes.push(event.timeSpent);
+                }
+            } else {
+                form.abandonments += 1;
+                getField(form, event.lastField.name).abandonedHere += 1;
+            }
+        } else if ((type === 'FOCUS' || type === 'BLUR' || type === 'CHANGE') && event.formSelector) {
+            const field = getField(getForm(event.formSelector), event.element.name || event.element.id || event.cssSelector);
+            if (type === 'FOCUS') {
+                field.focuses += 1;
+                field.revisits += event.visit > 1 ? 1 : 0;
+            } else if (type === 'BLUR') {
+                field.timeInField += event.timeInField || 0;
+                field.corrections += event.corrections || 0;
+            } else {
+                field.changes += 1;
+            }
+        }
+    });
+    
+    // Forms started on this page but not yet submitted or abandoned
+    if (!source) {
+        ActivityTracker.forms.progress.forEach((state, form) => {
+            if (!state.submitted) {
+                getForm(getCssSelector(form)).inProgress += 1;
+            }
+        });
+    }
+    
+    return Array.from(forms, ([selector, form]) => {
+        const finished = form.submissions + form.abandonments;
+        const fields = Array.from(form.fields.values());
+        const lastField = fields.reduce((top, field) => (field.abandonedHere > (top ? top.abandonedHere : 0) ? field : top), null);
+        
+        return {
+            form: selector,
+            submissions: form.submissions,
+            abandonments: form.abandonments,
+            inProgress: form.inProgress,
+            completionRate: finished ? form.submissions / finished : 0,
+            abandonmentRate: finished ? form.abandonments / finished : 0,
+            avgTimeToSubmit: form.submitTimes.length
+                ? Math.round(form.submitTimes.reduce((sum, t) => sum + t, 0) / form.submitTimes.length) : null,
+            lastFieldBeforeAbandon: lastField ? lastField.field : null,
+            fields: fields.map(field => ({
+                ...field,
+                timeInField: Math.round(field.timeInField),
+                avgTimeInField: field.focuses ? Math.round(field.timeInField / field.focuses) : 0
+            }))
+        };
+    });
+}
+
+// ===================================================================
+// KEYBOARD EVENT HANDLER
+// ===================================================================
+
+/**
+ * Handle keyboard events
+ * @param {Event} event - The keyboard event
+ */
+function handleKeyboardEvent(event) {
+    // Only track special keys (not regular typing for privacy)
+    const specialKeys = ['Enter', 'Escape', 'Tab', 'Backspace', 'Delete'];
+    
+    if (!specialKeys.includes(event.key)) {
+        return;
+    }
+    
+    const keyEvent = {
+        timestamp: new Date().toISOString(),
+        type_of_event: 'KEYBOARD',
+        event_object: 'KEYBOARD',
+        key: event.key,
+        code: event.code,
+        ctrlKey: event.ctrlKey,
+        shiftKey: event.shiftKey,
+        altKey: event.altKey
+    };
+    
+    if (!recordEvent(keyEvent, getEventTarget(event))) {
+        return;
+    }
+    
+    if (ActivityTracker.config.logToConsole) {
+        console.log('%c⌨️ KEYBOARD', 'background: #607D8B; color: white; padding: 4px 8px; border-radius: 3px;');
+        console.log('Timestamp:', keyEvent.timestamp);
+        console.log('Event Type:', keyEvent.type_of_event);
+        console.log('Event Object:', keyEvent.event_object);
+        console.log('Key:', event.key);
+        console.log('---');
+    }
+}
+
+// ===================================================================
+// MEDIA TRACKING (VIDEO AND AUDIO)
+// ===================================================================
+
+// Largest currentTime step (s, at 1x) still counted as playback; bigger jumps are seeks
+const MEDIA_MAX_PLAYBACK_STEP = 3;
+
+/**
+ * Get (or create) the tracking state of a media element
+ * @param {HTMLMediaElement} element - The video or audio element
+ * @returns {Object} { src, ranges, position, playing, plays, milestones, muted, seeking, seekFrom, seekTimer, summarized }
+ */
+function getMediaState(element) {
+    const media = ActivityTracker.media.elements;
+    const src = element.currentSrc || element.src || null;
+    
+    // A new source is a new piece of media
+    if (!media.has(element) || media.get(element).src !== src) {
+        media.set(element, {
+            src: src,
+            ranges: [],
+            position: element.currentTime,
+            playing: false,
+            plays: 0,
+            milestones: [],
+            muted: element.muted || element.volume === 0,
+            seeking: false,
+            seekFrom: null,
+            seekTimer: null,
+            summarized: { plays: 0, watched: 0 }   // Totals already sent in a MEDIA_SUMMARY
+        });
+    }
+    return media.get(element);
+}
+
+/**
+ * Get the duration of a media element when it is known and finite
+ * @param {HTMLMediaElement} element - The video or audio element
+ * @returns {number|null} Duration in seconds
+ */
+function getMediaDuration(element) {
+    return Number.isFinite(element.duration) && element.duration > 0 ? element.duration : null;
+}
+
+/**
+ * Add a played segment, merging overlaps so replays count once
+ * @param {Object} state - Media state
+ * @param {number} start - Segment start (s)
+ * @param {number} end - Segment end (s)
+ */
+function addWatchedRange(state, start, end) {
+    const merged = [];
+    state.ranges.concat([[start, end]])
+        .sort((a, b) => a[0] - b[0])
+        .forEach(range => {
+            const last = merged[merged.length - 1];
+            if (last && range[0] <= last[1]) {
+                last[1] = Math.max(last[1], range[1]);
+            } else {
+                merged.push([range[0], range[1]]);
+            }
+        });
+    state.ranges = merged;
+}
+
+/**
+ * Get the seconds of distinct content played
+ * @param {Object} state - Media state
+ * @returns {number} Watched seconds
+ */
+function getWatchedSeconds(state) {
+    return state.ranges.reduce((sum, range) => sum + range[1] - range[0], 0);
+}
+
+/**
+ * Count playback since the last known position and report new milestones
+ * @param {HTMLMediaElement} element - The video or audio element
+ * @param {Object} state - Media state
+ */
+function updateWatchedTime(element, state) {
+    const current = element.currentTime;
+    const step = current - state.position;
+    
+    if (state.playing && !state.seeking && step > 0 && step <= MEDIA_MAX_PLAYBACK_STEP * Math.max(element.playbackRate, 1)) {
+        addWatchedRange(state, state.position, current);
+    }
+    state.position = current;
+    
+    const duration = getMediaDuration(element);
+    if (!duration) {
+        return;
+    }
+    
+    // The last timeupdate lands just short of the end, so allow half a second
+    const watched = getWatchedSeconds(state);
+    const percent = duration - watched <= 0.5 ? 100 : (watched / duration) * 100;
+    ActivityTracker.config.media.milestones
+        .filter(milestone => percent >= milestone && !state.milestones.includes(milestone))
+        .forEach(milestone => {
+            state.milestones.push(milestone);
+            recordMediaEvent('MEDIA_PROGRESS', element, state, { milestone: milestone });
+        });
+}
+
+/**
+ * Record a media event with the element, source and playback details
+ * @param {string} type - MEDIA_* event type
+ * @param {HTMLMediaElement} element - The video or audio element
+ * @param {Object} state - Media state
+ * @param {Object} details - Type-specific fields
+ * @returns {Object|null} The recorded event
+ */
+function recordMediaEvent(type, element, state, details = {}) {
+    const duration = getMediaDuration(element);
+    const watched = getWatchedSeconds(state);
+    
+    const mediaEvent = {
+        timestamp: new Date().toISOString(),
+        type_of_event: type,
+        event_object: getEventObjectType(element),
+        element: {
+            tagName: getTagName(element),
+            id: element.id || null
+        },
+        cssSelector: getCssSelector(element),
+        xpath: getXPath(element),
+        media: {
+            src: element.getAttribute('src') ? element.src : null,
+            currentSrc: element.currentSrc || null,
+            duration: duration === null ? null : Math.round(duration * 10) / 10,
+            currentTime: Math.round(element.currentTime * 10) / 10,
+            playbackRate: element.playbackRate,
+            muted: element.muted || element.volume === 0
+        },
+        watchedSeconds: Math.round(watched * 10) / 10,
+        watchedPercent: duration ? Math.min(100, Math.round((watched / duration) * 100)) : null,
+        ...details
+    };
+    
+    const recorded = recordEvent(mediaEvent, element);
+    if (recorded && ActivityTracker.config.logToConsole) {
+        console.log(`%c🎬 ${type}`, 'background: #E91E63; color: white; padding: 4px 8px; border-radius: 3px;');
+        console.log('Element:', mediaEvent.cssSelector);
+        console.log('Time:', `${mediaEvent.media.currentTime}s of ${mediaEvent.media.duration ?? '?'}s, watched ${mediaEvent.watchedSeconds}s`);
+        console.log('---');
+    }
+    return recorded;
+}
+
+/**
+ * Handle playback events of any video or audio element (captured on the document)
+ * @param {Event} event - play, pause, timeupdate, seeking, seeked, ended, ratechange or volumechange
+ */
+function handleMediaEvent(event) {
+    // instanceof HTMLMediaElement fails for elements of an iframe (another realm)
+    const element = event.target;
+    if (!element || !['video', 'audio'].includes(getTagName(element))) {
+        return;
+    }
+    
+    const state = getMediaState(element);
+    
+    switch (event.type) {
+        case 'play':
+            ActivityTracker.media.played.add(element);
+            state.playing = true;
+            state.plays += 1;
+            state.position = element.currentTime;
+            recordMediaEvent('MEDIA_PLAY', element, state);
+            break;
+        case 'pause':
+            updateWatchedTime(element, state);
+            state.playing = false;
+            // Reaching the end also fires pause; MEDIA_ENDED covers it
+            if (!element.ended) {
+                recordMediaEvent('MEDIA_PAUSE', element, state);
+            }
+            break;
+        case 'timeupdate':
+            updateWatchedTime(element, state);
+            break;
+        case 'seeking':
+            // Dragging the timeline fires many seeks: report one from the first position
+            if (state.seekFrom === null) {
+                state.seekFrom = state.position;
+            }
+            state.seeking = true;
+            clearTimeout(state.seekTimer);
+            break;
+        case 'seeked':
+            // Count playback from the new position right away; only the report waits
+            state.seeking = false;
+            state.position = element.currentTime;
+            clearTimeout(state.seekTimer);
+            state.seekTimer = setTimeout(() => reportMediaSeek(element, state), ActivityTracker.config.media.seekDelay);
+            break;
+        case 'ended':
+            updateWatchedTime(element, state);
+            state.playing = false;
+            recordMediaEvent('MEDIA_ENDED', element, state);
+            break;
+        case 'ratechange':
+            recordMediaEvent('MEDIA_RATE_CHANGE', element, state);
+            break;
+        case 'volumechange': {
+            const muted = element.muted || element.volume === 0;
+            if (muted !== state.muted) {
+                state.muted = muted;
+                recordMediaEvent('MEDIA_MUTE', element, state, { muted: muted });
+            }
+            break;
+        }
+    }
+}
+
+/**
+ * Record a finished seek
+ * @param {HTMLMediaElement} element - The video or audio element
+ * @param {Object} state - Media state
+ */
+function reportMediaSeek(element, state) {
+    const from = state.seekFrom;
+    state.seekTimer = null;
+    state.seekFrom = null;
+    
+    if (from !== null) {
+        recordMediaEvent('MEDIA_SEEK', element, state, {
+            from: Math.round(from * 10) / 10,
+            to: Math.round(element.currentTime * 10) / 10
+        });
+    }
+}
+
+/**
+ * Pick up media that started playing before the tracker (e.g. autoplay)
+ */
+function startMediaTracking() {
+    document.querySelectorAll('video, audio').forEach(element => {
+        if (!element.paused && !element.ended) {
+            ActivityTracker.media.played.add(element);
+            const state = getMediaState(element);
+            state.playing = true;
+            state.plays += 1;
+        }
+    });
+}
+
+/**
+ * Cancel pending seek reports
+ */
+function stopMediaTracking() {
+    ActivityTracker.media.played.forEach(element => {
+        const state = ActivityTracker.media.elements.get(element);
+        clearTimeout(state.seekTimer);
+        state.seekTimer = null;
+        state.seekFrom = null;
+        state.seeking = false;
+    });
+}
+
+/**
+ * Record a MEDIA_SUMMARY for every element played since the previous summary (on pagehide)
+ * After a back/forward cache restore the next summary only adds what happened since
+ */
+function finalizeMedia() {
+    const played = ActivityTracker.media.played;
+    played.forEach(element => {
+        const state = ActivityTracker.media.elements.get(element);
+        if (state.seekTimer) {
+            reportMediaSeek(element, state);
+        }
+        updateWatchedTime(element, state);
+        
+        const watched = getWatchedSeconds(state);
+        const plays = state.plays - state.summarized.plays;
+        const newWatched = watched - state.summarized.watched;
+        if (plays > 0 || newWatched > 0) {
+            const recorded = recordMediaEvent('MEDIA_SUMMARY', element, state, {
+                plays: plays,
+                newWatchedSeconds: Math.round(newWatched * 10) / 10,
+                milestones: state.milestones.slice()
+            });
+            if (recorded) {
+                state.summarized = { plays: state.plays, watched: watched };
+            }
+        }
+        
+        // Removed elements are released once summarised
+        if (!element.isConnected) {
+            played.delete(element);
+        }
+    });
+}
+
+/**
+ * Get watched time for every media element played on this page
+ * @returns {Array} Selector, source, duration, watched seconds and milestones reached
+ */
+function getMediaReport() {
+    return Array.from(ActivityTracker.media.played, element => {
+        const state = ActivityTracker.media.elements.get(element);
+        const duration = getMediaDuration(element);
+        const watched = getWatchedSeconds(state);
+        return {
+            cssSelector: getCssSelector(element),
+            src: state.src,
+            duration: duration === null ? null : Math.round(duration * 10) / 10,
+            plays: state.plays,
+            watchedSeconds: Math.round(watched * 10) / 10,
+            watchedPercent: duration ? Math.min(100, Math.round((watched / duration) * 100)) : null,
+            milestones: state.milestones.slice()
+        };
+    });
+}
+
+// ===================================================================
+// MOUSE MOVEMENT HANDLER
+// ===================================================================
+
+/**
+ * Handle mouse movement (throttled)
+ * @param {Event} event - The mousemove event
+ */
+function handleMouseMoveEvent(event) {
+    const moveEvent = {
+        timestamp: new Date().toISOString(),
+        type_of_event: 'MOUSE_MOVE',
+        event_object: 'MOUSE',
+        position: {
+            x: event.clientX,
+            y: event.clientY
+        }
+    };
+    
+    recordEvent(moveEvent);
+}
+
+// ===================================================================
+// RESIZE EVENT HANDLER
+// ===================================================================
+
+/**
+ * Handle window resize event
+ */
+function handleResizeEvent() {
+    const resizeEvent = {
+        timestamp: new Date().toISOString(),
+        type_of_event: 'RESIZE',
+        event_object: 'WINDOW',
+        viewport: {
+            width: window.innerWidth,
+            height: window.innerHeight
+        }
+    };
+    
+    if (!recordEvent(resizeEvent)) {
+        return;
+    }
+    
+    if (ActivityTracker.config.logToConsole) {
+        console.log('%c📐 RESIZE', 'background: #795548; color: white; padding: 4px 8px; border-radius: 3px;');
+        console.log('Timestamp:', resizeEvent.timestamp);
+        console.log('Event Type:', resizeEvent.type_of_event);
+        console.log('Event Object:', resizeEvent.event_object);
+        console.log('Viewport:', `${resizeEvent.viewport.width}x${resizeEvent.viewport.height}`);
+        console.log('---');
+    }
+}
+
+// ===================================================================
+// ERROR TRACKING
+// ===================================================================
+
+/**
+ * Remember a tracked interaction as a breadcrumb for later errors
+ * @param {Object} event - Event being stored
+ */
+function addBreadcrumb(event) {
+    const settings = ActivityTracker.config.errorTracking;
+    if (!settings.breadcrumbTypes.includes(event.type_of_event)) {
+        return;
+    }
+    
+    const breadcrumbs = ActivityTracker.errors.breadcrumbs;
+    breadcrumbs.push({
+        timestamp: event.timestamp,
+        type: event.type_of_event,
+        object: event.event_object,
+        cssSelector: event.cssSelector || null,
+        url: event.url || null
+    });
+    breadcrumbs.splice(0, breadcrumbs.length - settings.breadcrumbCount);
+}
+
+/**
+ * Handle a JS error or a failed resource load
+ * @param {ErrorEvent|Event} event - The error event
+ */
+function handleErrorEvent(event) {
+    const target = event.target;
+    
+    // Failed <img>, <script> and <link> loads target the element, not window
+    if (target && target !== window && target.tagName) {
+        const url = target.currentSrc || target.src || target.href || null;
+        captureError(event, target, {
+            kind: 'resource',
+            message: `Failed to load ${target.tagName.toLowerCase()}${url ? ` ${url}` : ''}`,
+            stack: null,
+            source: url,
+            line: null,
+            column: null
+        });
+        return;
+    }
+    
+    const error = event.error;
+    captureError(event, null, {
+        kind: 'error',
+        message: event.message || (error && error.message) || 'Unknown error',
+        stack: error && error.stack ? String(error.stack) : null,
+        source: event.filename || null,
+        line: event.lineno || null,
+        column: event.colno || null
+    });
+}
+
+/**
+ * Handle a promise rejection nobody caught
+ * @param {PromiseRejectionEvent} event - The rejection event
+ */
+function handleRejectionEvent(event) {
+    const reason = event.reason;
+    let message;
+    if (reason instanceof Error) {
+        message = reason.message;
+    } else {
+        try {
+            message = typeof reason === 'string' ? reason : JSON.stringify(reason);
+        } catch (error) {
+            message = String(reason);
+        }
+    }
+    
+    captureError(event, null, {
+        kind: 'unhandledrejection',
+        message: message || 'Promise rejected',
+        stack: reason instanceof Error && reason.stack ? String(reason.stack) : null,
+        source: null,
+        line: null,
+        column: null
+    });
+}
+
+/**
+ * Note that events left the buffer, so later repeats of their errors are recorded as new events
+ * @param {Array} events - Events sent, exported or evicted
+ */
+function markErrorsSent(events) {
+    events.forEach(event => {
+        if (event.type_of_event === 'ERROR') {
+            ActivityTracker.errors.sent.add(event);
+        }
+    });
+}
+
+/**
+ * Record errors queued by the page before the tracker loaded
+ * (see README: resource errors in <head> happen before our listeners exist)
+ * Entries are plain { kind, time, message, source, line, col, stack, tag } objects
+ */
+function captureEarlyErrors() {
+    const queued = window.ActivityTrackerEarlyErrors;
+    window.ActivityTrackerEarlyErrors = null;  // The page snippet stops queueing
+    
+    if (!Array.isArray(queued)) {
+        return;
+    }
+    queued.forEach(entry => {
+        // captureError only needs the time from the source event
+        const sourceEvent = { timeStamp: entry.time };
+        if (entry.kind === 'resource') {
+            captureError(sourceEvent, findResourceElement(entry.source), {
+                kind: 'resource',
+                message: `Failed to load ${entry.tag}${entry.source ? ` ${entry.source}` : ''}`,
+                stack: null,
+                source: entry.source || null,
+                line: null,
+                column: null
+            });
+            return;
+        }
+        captureError(sourceEvent, null, {
+            kind: entry.kind === 'unhandledrejection' ? 'unhandledrejection' : 'error',
+            message: entry.message || (entry.kind === 'unhandledrejection' ? 'Promise rejected' : 'Unknown error'),
+            stack: entry.stack || null,
+            source: entry.source || null,
+            line: entry.line || null,
+            column: entry.col || null
+        });
+    });
+}
+
+/**
+ * Find the <img>, <script> or <link> that loads a URL
+ * @param {string|null} url - Resource URL
+ * @returns {Element|null} The element, or null when it is gone
+ */
+function findResourceElement(url) {
+    if (!url) {
+        return null;
+    }
+    return Array.from(document.querySelectorAll('img, script, link'))
+        .find(element => (element.currentSrc || element.src || element.href) === url) || null;
+}
+
+/**
+ * Record an ERROR event, or count it on an identical one already recorded
+ * @param {Event} sourceEvent - Browser event (for the time it happened)
+ * @param {Element|null} element - Failed resource element
+ * @param {Object} details - { kind, message, stack, source, line, column }
+ */
+function captureError(sourceEvent, element, details) {
+    if (ActivityTracker.state !== 'running') {
+        return;
+    }
+    
+    const state = ActivityTracker.errors;
+    // timeStamp is relative to the time origin (epoch ms in older browsers)
+    const time = sourceEvent.timeStamp > 1e12 ? sourceEvent.timeStamp : performance.timeOrigin + sourceEvent.timeStamp;
+    const timestamp = new Date(Number.isFinite(time) ? time : Date.now()).toISOString();
+    const fingerprint = [details.kind, details.message, details.source, details.line, details.column].join('|');
+    
+    // An error repeated in a loop or timer adds to the count, unless the first one already left
+    const previous = state.seen.get(fingerprint);
+    if (previous && !state.sent.has(previous)) {
+        state.seen.delete(fingerprint);
+        state.seen.set(fingerprint, previous);
+        previous.count += 1;
+        previous.firstTimestamp = previous.firstTimestamp || previous.timestamp;
+        previous.lastTimestamp = timestamp;
+        return;
+    }
+    
+    const errorEvent = {
+        timestamp: timestamp,
+        type_of_event: 'ERROR',
+        event_object: element ? getEventObjectType(element) : 'PAGE',
+        kind: details.kind,
+        message: details.message.substring(0, 500),
+        stack: details.stack ? details.stack.substring(0, ActivityTracker.config.errorTracking.maxStackLength) : null,
+        source: details.source,
+        line: details.line,
+        column: details.column,
+        cssSelector: element ? getCssSelector(element) : null,
+        breadcrumbs: state.breadcrumbs.slice(),
+        count: 1
+    };
+    
+    // A failure here would be reported as another error, and so on
+    let recorded;
+    try {
+        recorded = recordEvent(errorEvent, element);
+    } catch (error) {
+        console.warn('⚠️ Could not record error event:', error);
+        return;
+    }
+    if (!recorded) {
+        return;
+    }
+    state.seen.delete(fingerprint);
+    state.seen.set(fingerprint, recorded);
+    if (state.seen.size > ActivityTracker.config.errorTracking.maxFingerprints) {
+        state.seen.delete(state.seen.keys().next().value);
+    }
+    
+    if (ActivityTracker.config.logToConsole) {
+        console.log('%c💥 ERROR', 'background: #D32F2F; color: white; padding: 4px 8px; border-radius: 3px;');
+        console.log('Timestamp:', errorEvent.timestamp);
+        console.log('Kind:', errorEvent.kind);
+        console.log('Message:', errorEvent.message);
+        console.log('Source:', errorEvent.source, errorEvent.line !== null ? `line ${errorEvent.line}` : '');
+        console.log('Breadcrumbs:', errorEvent.breadcrumbs.length);
+        console.log('---');
+    }
+}
+
+// ===================================================================
+// SESSION RECORDING
+// ===================================================================
+
+/**
+ * Start recording: snapshot the DOM, then capture changes
+ */
+function startRecording() {
+    const recording = ActivityTracker.recording;
+    if (recording.observer) {
+        return;
+    }
+    if (!hasConsent('recording')) {
+        console.warn('⚠️ Session recording needs consent for the "recording" category');
+        return;
+    }
+    
+    recording.nodeIds = new WeakMap();
+    recording.nextNodeId = 1;
+    recording.frames = [];
+    recording.startedAt = performance.now();
+    recording.startTime = new Date().toISOString();
+    recording.full = false;
+    recording.snapshot = {
+        baseUrl: window.location.href,
+        doctype: document.doctype ? `<!DOCTYPE ${document.doctype.name}>` : '',
+        root: serializeRecordedNode(document.documentElement),
+        viewport: { width: window.innerWidth, height: window.innerHeight },
+        scroll: { x: window.scrollX, y: window.scrollY }
+    };
+    
+    recording.observer = new MutationObserver(handleRecordingMutations);
+    recording.observer.observe(document.documentElement, {
+        childList: true,
+        attributes: true,
+        characterData: true,
+        subtree: true
+    });
+    
+    console.log('🎥 Session recording started');
+}
+
+/**
+ * Stop recording (frames recorded so far are kept for export)
+ */
+function stopRecording() {
+    const recording = ActivityTracker.recording;
+    if (recording.observer) {
+        recording.observer.disconnect();
+        recording.observer = null;
+        console.log('🎥 Session recording stopped');
+    }
+}
+
+/**
+ * Get (or assign) the recording ID of a node
+ * @param {Node} node - DOM node
+ * @returns {number} Node ID
+ */
+function getRecordedNodeId(node) {
+    const recording = ActivityTracker.recording;
+    let id = recording.nodeIds.get(node);
+    if (id === undefined) {
+        id = recording.nextNodeId++;
+        recording.nodeIds.set(node, id);
+    }
+    return id;
+}
+
+/**
+ * Mask recorded text according to the privacy rules
+ * @param {string} text - Text content
+ * @param {Element} parent - Element holding the text
+ * @returns {string} Text safe to record
+ */
+function maskRecordedText(text, parent) {
+    // Also covers the text of a masked <textarea>, which is its default value
+    if (shouldMaskElement(parent)) {
+        return text.replace(/\S/g, '*');
+    }
+    return ActivityTracker.config.privacy.scrubPatterns ? scrubText(text) : text;
+}
+
+// Attributes holding a value or text, masked like the element's content
+const RECORDED_TEXT_ATTRIBUTES = ['value', 'placeholder', 'title', 'alt', 'aria-label', 'aria-valuetext'];
+
+/**
+ * Get the value an attribute is recorded with
+ * @param {Element} element - Element owning the attribute
+ * @param {string} name - Attribute name
+ * @param {string|null} value - Attribute value (null when removed)
+ * @returns {string|null|undefined} Value to record, or undefined to leave the attribute out
+ */
+function getRecordedAttributeValue(element, name, value) {
+    // Inline handlers never run in the replay
+    if (name.startsWith('on')) {
+        return undefined;
+    }
+    if (value === null || !RECORDED_TEXT_ATTRIBUTES.includes(name)) {
+        return value;
+    }
+    if (isElementIgnored(element)) {
+        return undefined;
+    }
+    return shouldMaskElement(element) ? value.replace(/./g, '*') : value;
+}
+
+/**
+ * Serialize a node and its subtree for the recording
+ * @param {Node} node - DOM node
+ * @returns {Object|null} Serialized node, or null for nodes that are not recorded
+ */
+function serializeRecordedNode(node) {
+    if (node.nodeType === Node.TEXT_NODE) {
+        return { id: getRecordedNodeId(node), type: 3, text: maskRecordedText(node.textContent, node.parentElement) };
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) {
+        return null;
+    }
+    
+    // Scripts never run in the replay, and our own heatmap overlay isn't part of the page
+    const tag = node.tagName.toLowerCase();
+    if (tag === 'script' || tag === 'noscript' || node === ActivityTracker.heatmap.container) {
+        return null;
+    }
+    
+    const serialized = {
+        id: getRecordedNodeId(node),
+        type: 1,
+        tag: tag,
+        attrs: {},
+        children: []
+    };
+    if (node.namespaceURI !== 'http://www.w3.org/1999/xhtml') {
+        serialized.ns = node.namespaceURI;
+    }
+    
+    Array.from(node.attributes).forEach(attr => {
+        const value = getRecordedAttributeValue(node, attr.name, attr.value);
+        if (value !== undefined) {
+            serialized.attrs[attr.name] = value;
+        }
+    });
+    
+    // Ignored elements keep their box but not their content
+    if (isElementIgnored(node)) {
+        serialized.ignored = true;
+        return serialized;
+    }
+    
+    if (['input', 'textarea', 'select'].includes(tag)) {
+        serialized.value = shouldMaskElement(node) ? node.value.replace(/./g, '*') : node.value;
+        if (node.type === 'checkbox' || node.type === 'radio') {
+            serialized.checked = node.checked;
+        }
+    }
+    
+    node.childNodes.forEach(child => {
+        const serializedChild = serializeRecordedNode(child);
+        if (serializedChild) {
+            serialized.children.push(serializedChild);
+        }
+    });
+    
+    return serialized;
+}
+
+/**
+ * Find the ID of the next recorded sibling (insertion point in the replay)
+ * @param {Node} node - DOM node
+ * @returns {number|null} Sibling ID or null to append
+ */
+function getNextRecordedSiblingId(node) {
+    let sibling = node.nextSibling;
+    while (sibling) {
+        const id = ActivityTracker.recording.nodeIds.get(sibling);
+        if (id !== undefined) {
+            return id;
+        }
+        sibling = sibling.nextSibling;
+    }
+    return null;
+}
+
+/**
+ * Add a frame to the recording, stopping when the frame limit is reached
+ * @param {Object} frame - Frame data (the time offset is added here)
+ */
+function pushRecordingFrame(frame) {
+    const recording = ActivityTracker.recording;
+    if (!recording.observer || ActivityTracker.state !== 'running') {
+        return;
+    }
+    
+    frame.t = Math.round(performance.now() - recording.startedAt);
+    recording.frames.push(frame);
+    
+    if (recording.frames.length >= ActivityTracker.config.recording.maxFrames) {
+        console.warn(`⚠️ Recording reached ${recording.frames.length} frames and was stopped`);
+        recording.full = true;
+        stopRecording();
+    }
+}
+
+/**
+ * MutationObserver callback: record DOM changes as one frame
+ * @param {Array<MutationRecord>} mutations - DOM changes
+ */
+function handleRecordingMutations(mutations) {
+    const nodeIds = ActivityTracker.recording.nodeIds;
+    const frame = { type: 'mutation', removes: [], adds: [], attributes: [], texts: [] };
+    const addedNodes = new Set();
+    
+    mutations.forEach(mutation => {
+        if (isElementIgnored(mutation.target.nodeType === Node.ELEMENT_NODE ? mutation.target : mutation.target.parentElement)) {
+            return;
+        }
+        
+        if (mutation.type === 'childList') {
+            mutation.removedNodes.forEach(node => {
+                const id = nodeIds.get(node);
+                if (id !== undefined) {
+                    frame.removes.push({ id: id });
+                }
+            });
+            mutation.addedNodes.forEach(node => addedNodes.add(node));
+        } else if (mutation.type === 'attributes') {
+            const id = nodeIds.get(mutation.target);
+            const value = getRecordedAttributeValue(mutation.target, mutation.attributeName, mutation.target.getAttribute(mutation.attributeName));
+            if (id !== undefined && value !== undefined) {
+                frame.attributes.push({ id: id, name: mutation.attributeName, value: value });
+            }
+        } else if (mutation.type === 'characterData') {
+            const id = nodeIds.get(mutation.target);
+            if (id !== undefined) {
+                frame.texts.push({ id: id, text: maskRecordedText(mutation.target.textContent, mutation.target.parentElement) });
+            }
+        }
+    });
+    
+    addedNodes.forEach(node => {
+        // Nodes removed again, or inside another added node, are covered elsewhere
+        if (!node.isConnected || (node.parentNode && hasAddedAncestor(node.parentNode, addedNodes))) {
+            return;
+        }
+        const parentId = nodeIds.get(node.parentNode);
+        const serialized = parentId !== undefined ? serializeRecordedNode(node) : null;
+        if (serialized) {
+            frame.adds.push({ parentId: parentId, nextId: getNextRecordedSiblingId(node), node: serialized });
+        }
+    });
+    
+    if (frame.removes.length || frame.adds.length || frame.attributes.length || frame.texts.length) {
+        pushRecordingFrame(frame);
+    }
+}
+
+/**
+ * Check whether a node sits inside one of the added nodes
+ * @param {Node} node - DOM node
+ * @param {Set<Node>} addedNodes - Nodes added in this batch
+ * @returns {boolean} Whether an ancestor was added too
+ */
+function hasAddedAncestor(node, addedNodes) {
+    for (let current = node; current; current = current.parentNode) {
+        if (addedNodes.has(current)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Record window and element scroll positions
+ * @param {Event} event - The scroll event
+ */
+function handleRecordingScroll(event) {
+    if (event.target === document || event.target === window) {
+        pushRecordingFrame({ type: 'scroll', x: window.scrollX, y: window.scrollY });
+        return;
+    }
+    const id = ActivityTracker.recording.nodeIds.get(event.target);
+    if (id !== undefined) {
+        pushRecordingFrame({ type: 'scroll', id: id, x: event.target.scrollLeft, y: event.target.scrollTop });
+    }
+}
+
+/**
+ * Record viewport resizes
+ */
+function handleRecordingResize() {
+    pushRecordingFrame({ type: 'resize', width: window.innerWidth, height: window.innerHeight });
+}
+
+/**
+ * Record pointer positions
+ * @param {Event} event - The mousemove event
+ */
+function handleRecordingPointer(event) {
+    pushRecordingFrame({ type: 'pointer', x: event.clientX, y: event.clientY });
+}
+
+/**
+ * Record form field values as they change
+ * @param {Event} event - The input event
+ */
+function handleRecordingInput(event) {
+    const element = event.target;
+    const id = ActivityTracker.recording.nodeIds.get(element);
+    if (id === undefined || isElementIgnored(element)) {
+        return;
+    }
+    
+    const value = shouldMaskElement(element) ? String(element.value).replace(/./g, '*') : element.value;
+    pushRecordingFrame({ type: 'input', id: id, value: value, checked: element.checked });
+}
+
+/**
+ * Export the recording (snapshot, frames and interaction markers) as JSON
+ * @returns {string} Recording file content
+ */
+function exportRecording() {
+    const recording = ActivityTracker.recording;
+    if (!recording.snapshot) {
+        throw new Error('Nothing recorded - enable config.recording first');
+    }
+    
+    // Tracked interactions become markers on the replay timeline
+    const markers = ActivityTracker.events
+        .filter(event => ActivityTracker.config.recording.markerTypes.includes(event.type_of_event))
+        .filter(event => typeof event.monotonicTime === 'number' && event.monotonicTime >= recording.startedAt)
+        .map(event => ({
+            t: Math.round(event.monotonicTime - recording.startedAt),
+            type: event.type_of_event,
+            object: event.event_object,
+            cssSelector: event.cssSelector || null,
+            key: event.key || null,
+            position: event.position || null
+        }));
+    
+    return JSON.stringify({
+        format: 'activity-tracker-recording',
+        version: 1,
+        schemaVersion: SCHEMA_VERSION,
+        session: getExportSession(),
+        startTime: recording.startTime,
+        duration: Math.round(performance.now() - recording.startedAt),
+        truncated: recording.full,
+        snapshot: recording.snapshot,
+        frames: recording.frames,
+        markers: markers
+    });
+}
+
+/**
+ * Download the recording as a file for replay.html
+ */
+function downloadRecording() {
+    downloadFile(exportRecording(), `activity-tracker-${ActivityTracker.session.sessionId}.recording.json`, 'application/json');
+    console.log('✅ Recording downloaded - open it in replay.html');
+}
+
+// ===================================================================
+// PAGE UNLOAD HANDLER
+// ===================================================================
+
+/**
+ * Handle page unload (pagehide) event
+ */
+function handlePageUnload() {
+    const record = ActivityTracker.sessionRecord;
+    saveSessionNow();
+    const sessionDuration = Date.now() - new Date(ActivityTracker.session.startTime).getTime();
+    
+    console.log('%c=================================', 'color: #F44336; font-weight: bold;');
+    console.log('%c📊 SESSION SUMMARY', 'color: #F44336; font-weight: bold; font-size: 16px;');
+    console.log('%c=================================', 'color: #F44336; font-weight: bold;');
+    console.log('Session Duration:', (sessionDuration / 1000).toFixed(2), 'seconds (wall clock)');
+    if (record && record.engagedTime !== undefined) {
+        console.log('Engaged Time:', (record.engagedTime / 1000).toFixed(2), 'seconds', `(this page: ${(ActivityTracker.engagement.reportedTime / 1000).toFixed(2)})`);
+    }
+    console.log('Pages Viewed:', ActivityTracker.session.pageSequence);
+    console.log('Total Events Tracked:', record ? record.eventCount : ActivityTracker.events.length);
+    console.log('Events On This Page:', ActivityTracker.events.length);
+    console.log('Session ID:', ActivityTracker.session.sessionId);
+    
+    // Event breakdown across all pages of the session
+    let eventCounts = record ? record.eventCounts : null;
+    if (!eventCounts) {
+        eventCounts = {};
+        ActivityTracker.events.forEach(event => {
+            eventCounts[event.type_of_event] = (eventCounts[event.type_of_event] || 0) + 1;
+        });
+    }
+    
+    console.log('\nEvent Breakdown:');
+    console.table(eventCounts);
+    
+    console.log('%c=================================\n', 'color: #F44336; font-weight: bold;');
+}
+
+/**
+ * Treat a page restored from the back/forward cache as a new page view
+ * @param {PageTransitionEvent} event - The pageshow event
+ */
+function handlePageShow(event) {
+    if (!event.persisted || ActivityTracker.state !== 'running') {
+        return;
+    }
+    
+    // Other pages may have updated the stored session while this one was cached
+    startOrResumeSession();
+    
+    // The restored page view gets its own PERFORMANCE event on the next hide
+    ActivityTracker.performance.reported = null;
+    trackPageView({ trigger: 'bfcache' });
+}
+
+// ===================================================================
+// NETWORK TRANSPORT
+// ===================================================================
+
+/**
+ * Start batched delivery of events to the collector endpoint
+ */
+function initTransport() {
+    const transportConfig = ActivityTracker.config.transport;
+    if (!transportConfig.enabled) {
+        return;
+    }
+    
+    // Events recorded before the first start (e.g. the page view) go in the first batch
+    if (!ActivityTracker.transport.started) {
+        ActivityTracker.transport.pending = ActivityTracker.events.slice();
+        ActivityTracker.transport.started = true;
+    }
+    
+    ActivityTracker.transport.flushTimer = setInterval(() => flushEvents(), transportConfig.flushInterval);
+    ActivityTracker.transport.retryTimer = setInterval(processRetryQueue, transportConfig.retryBaseDelay);
+    
+    // Deliver whatever is left when the page is hidden or left
+    addTransportUnloadListeners();
+    
+    // Retry batches that failed on a previous page load
+    processRetryQueue();
+    
+    console.log('📡 Transport enabled, sending batches to', transportConfig.endpoint);
+}
+
+/**
+ * (Re)attach the transport's page hide listeners after every other listener
+ * Listeners run in the order they were added, so the final flush sees the events plugins record on hide
+ */
+function addTransportUnloadListeners() {
+    window.removeEventListener('pagehide', handleTransportPageHide);
+    document.removeEventListener('visibilitychange', handleTransportVisibilityChange);
+    window.addEventListener('pagehide', handleTransportPageHide);
+    document.addEventListener('visibilitychange', handleTransportVisibilityChange);
+}
+
+/**
+ * Stop the transport timers, sending what is still pending
+ * @param {boolean} flush - Send pending events before stopping
+ */
+function stopTransport(flush = true) {
+    const state = ActivityTracker.transport;
+    if (!state.flushTimer) {
+        return;
+    }
+    
+    clearInterval(state.flushTimer);
+    clearInterval(state.retryTimer);
+    state.flushTimer = null;
+    state.retryTimer = null;
+    
+    window.removeEventListener('pagehide', handleTransportPageHide);
+    document.removeEventListener('visibilitychange', handleTransportVisibilityChange);
+    
+    if (flush) {
+        flushEvents();
+    }
+}
+
+/**
+ * Add an event to the pending batch, flushing when the batch is full
+ * @param {Object} event - The recorded event
+ */
+function enqueueForTransport(event) {
+    const transportConfig = ActivityTracker.config.transport;
+    if (!transportConfig.enabled || !ActivityTracker.transport.flushTimer) {
+        return;
+    }
+    
+    ActivityTracker.transport.pending.push(event);
+    
+    if (ActivityTracker.transport.pending.length >= transportConfig.batchSize) {
+        flushEvents();
+    }
+}
+
+/**
+ * Build the request body for a batch (same shape as exportEventsAsJSON)
+ * @param {Array} events - Events in the batch
+ * @param {Object} session - Session the events were recorded in
+ * @returns {string} JSON payload
+ */
+function buildBatchPayload(events, session) {
+    return JSON.stringify({
+        schemaVersion: SCHEMA_VERSION,
+        session: session,
+        events: events,
+        exportTime: new Date().toISOString()
+    });
+}
+
+/**
+ * Send one batch to the collector with fetch
+ * @param {Array} events - Events in the batch
+ * @param {Object} session - Session the events were recorded in
+ * @returns {Promise<boolean>} Whether the collector accepted the batch
+ */
+async function sendBatch(events, session) {
+    try {
+        // text/plain keeps the request "simple" so no CORS preflight is needed
+        const response = await fetch(ActivityTracker.config.transport.endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'text/plain;charset=UTF-8' },
+            body: buildBatchPayload(events, session),
+            keepalive: true
+        });
+        return response.ok;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Flush pending events to the collector
+ * @param {boolean} useBeacon - Use navigator.sendBeacon (for page hide)
+ * @returns {Promise<boolean>} Whether the batch was delivered
+ */
+async function flushEvents(useBeacon = false) {
+    const state = ActivityTracker.transport;
+    if (state.pending.length === 0) {
+        return true;
+    }
+    
+    const batch = state.pending.splice(0, state.pending.length);
+    markErrorsSent(batch);
+    // Copied now: the session may roll over before a retry
+    const session = { ...getExportSession() };
+    
+    if (useBeacon && navigator.sendBeacon) {
+        const blob = new Blob([buildBatchPayload(batch, session)], { type: 'text/plain;charset=UTF-8' });
+        if (navigator.sendBeacon(ActivityTracker.config.transport.endpoint, blob)) {
+            return true;
+        }
+        addToRetryQueue(batch, session);
+        return false;
+    }
+    
+    const delivered = await sendBatch(batch, session);
+    if (!delivered) {
+        addToRetryQueue(batch, session);
+    } else if (ActivityTracker.config.logToConsole) {
+        console.log(`📡 Sent batch of ${batch.length} events`);
+    }
+    return delivered;
+}
+
+/**
+ * Flush with sendBeacon when the page is hidden or unloaded
+ */
+function handleTransportPageHide() {
+    flushEvents(true);
+}
+
+/**
+ * Flush when the tab becomes hidden (pagehide doesn't fire on mobile tab switches)
+ */
+function handleTransportVisibilityChange() {
+    if (document.visibilityState === 'hidden') {
+        handleTransportPageHide();
+    }
+}
+
+// ===================================================================
+// RETRY QUEUE (localStorage)
+// ===================================================================
+
+/**
+ * Load failed batches from localStorage
+ * @returns {Array} Retry entries ({ session, events, attempts, nextAttempt })
+ */
+function loadRetryQueue() {
+    try {
+        const stored = localStorage.getItem(ActivityTracker.config.transport.retryStorageKey);
+        return stored ? JSON.parse(stored) : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+/**
+ * Save failed batches to localStorage
+ * @param {Array} queue - Retry entries
+ */
+function saveRetryQueue(queue) {
+    try {
+        const key = ActivityTracker.config.transport.retryStorageKey;
+        if (queue.length === 0) {
+            localStorage.removeItem(key);
+        } else {
+            localStorage.setItem(key, JSON.stringify(queue));
+        }
+    } catch (error) {
+        // Storage full or unavailable - the batch is lost
+        console.warn('⚠️ Could not persist retry queue:', error.message);
+    }
+}
+
+/**
+ * Put a failed batch in the retry queue, skipping events already queued
+ * @param {Array} events - Events that failed to send
+ * @param {Object} session - Session the events were recorded in
+ */
+function addToRetryQueue(events, session) {
+    const queue = loadRetryQueue();
+    
+    // Deduplicate by event id
+    const queuedIds = new Set();
+    queue.forEach(entry => entry.events.forEach(e => queuedIds.add(e.eventId)));
+    const fresh = events.filter(e => !queuedIds.has(e.eventId));
+    
+    if (fresh.length === 0) {
+        return;
+    }
+    
+    queue.push({
+        session: session,
+        events: fresh,
+        attempts: 0,
+        nextAttempt: Date.now() + ActivityTracker.config.transport.retryBaseDelay
+    });
+    saveRetryQueue(queue);
+}
+
+/**
+ * Retry due batches with exponential backoff
+ */
+async function processRetryQueue() {
+    const state = ActivityTracker.transport;
+    const transportConfig = ActivityTracker.config.transport;
+    if (state.inFlight) {
+        return;
+    }
+    
+    const now = Date.now();
+    const due = loadRetryQueue().filter(entry => entry.nextAttempt <= now);
+    if (due.length === 0) {
+        return;
+    }
+    
+    state.inFlight = true;
+    
+    for (const entry of due) {
+        // Entries queued before sessions were stored fall back to the current session
+        const delivered = await sendBatch(entry.events, entry.session || getExportSession());
+        
+        // Re-read the queue: new failures may have been added meanwhile
+        const queue = loadRetryQueue();
+        const index = queue.findIndex(e => e.events[0]?.eventId === entry.events[0]?.eventId);
+        if (index === -1) {
+            continue;
+        }
+        
+        if (delivered) {
+            queue.splice(index, 1);
+        } else {
+            const attempts = queue[index].attempts + 1;
+            if (attempts >= transportConfig.maxRetries) {
+                console.warn(`⚠️ Dropping batch of ${entry.events.length} events after ${attempts} attempts`);
+                queue.splice(index, 1);
+            } else {
+                queue[index].attempts = attempts;
+                queue[index].nextAttempt = Date.now() + transportConfig.retryBaseDelay * Math.pow(2, attempts);
+            }
+        }
+        saveRetryQueue(queue);
+    }
+    
+    state.inFlight = false;
+}
+
+// ===================================================================
+// EVENT OBJECT TYPE DETECTION
+// ===================================================================
+
+/**
+ * Determine the type of event object (drop_down/image/text etc.)
+ * @param {Element} element - The DOM element
+ * @returns {string} Event object type
+ */
+function getEventObjectType(element) {
+    const tagName = getTagName(element);
+    
+    // Shapes and groups inside an icon are part of the SVG (an SVG <a> is still a link)
+    if (element.namespaceURI === SVG_NAMESPACE && tagName !== 'a') {
+        return 'SVG';
+    }
+    
+    // Form elements
+    if (['input', 'textarea', 'select'].includes(tagName)) {
+        if (tagName === 'select') {
+            return 'DROP_DOWN';
+        }
+        
+        const type = element.type?.toLowerCase();
+        switch (type) {
+            case 'text':
+            case 'password':
+            case 'email':
+            case 'search':
+            case 'tel':
+            case 'url':
+                return 'TEXT_FIELD';
+            case 'checkbox':
+                return 'CHECKBOX';
+            case 'radio':
+                return 'RADIO_BUTTON';
+            case 'file':
+                return 'FILE_UPLOAD';
+            case 'submit':
+            case 'button':
+                return 'BUTTON';
+            case 'range':
+                return 'SLIDER';
+            case 'date':
+            case 'time':
+            case 'datetime-local':
+                return 'DATE_PICKER';
+            case 'color':
+                return 'COLOR_PICKER';
+            default:
+                return 'INPUT_FIELD';
+        }
+    }
+    
+    // Interactive elements
+    switch (tagName) {
+        case 'a':
+            return 'LINK';
+        case 'button':
+            return 'BUTTON';
+        case 'img':
+            return 'IMAGE';
+        case 'video':
+            return 'VIDEO';
+        case 'audio':
+            return 'AUDIO';
+        case 'iframe':
+            return 'IFRAME';
+        case 'canvas':
+            return 'CANVAS';
+        case 'svg':
+            return 'SVG';
+        case 'table':
+            return 'TABLE';
+        case 'ul':
+        case 'ol':
+            return 'LIST';
+        case 'li':
+            return 'LIST_ITEM';
+        case 'div':
+            return 'CONTAINER';
+        case 'span':
+            return 'TEXT_SPAN';
+        case 'p':
+            return 'PARAGRAPH';
+        case 'h1':
+        case 'h2':
+        case 'h3':
+        case 'h4':
+        case 'h5':
+        case 'h6':
+            return 'HEADING';
+        case 'form':
+            return 'FORM';
+        case 'label':
+            return 'LABEL';
+        case 'nav':
+            return 'NAVIGATION';
+        case 'header':
+            return 'HEADER';
+        case 'footer':
+            return 'FOOTER';
+        case 'section':
+            return 'SECTION';
+        case 'article':
+            return 'ARTICLE';
+        case 'main':
+            return 'MAIN_CONTENT';
+        default:
+            return 'ELEMENT';
+    }
+}
+
+// ===================================================================
+// UTILITY FUNCTIONS
+// ===================================================================
+
+// Joins a shadow host's selector (or XPath) to the selector inside its shadow root
+const SHADOW_SEPARATOR = ' >>> ';
+
+const HTML_NAMESPACE = 'http://www.w3.org/1999/xhtml';
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
+/**
+ * Get the element an event really happened on
+ * Events from open shadow roots are retargeted to the host; composedPath() keeps the inner target
+ * @param {Event} event - The DOM event
+ * @returns {Element|EventTarget} Innermost element on the event path (or event.target)
+ */
+function getEventTarget(event) {
+    const path = typeof event.composedPath === 'function' ? event.composedPath() : [];
+    return path.find(node => node && node.nodeType === Node.ELEMENT_NODE) || event.target;
+}
+
+/**
+ * Get the lower-case tag name of any element (HTML, SVG or MathML)
+ * @param {Element} element - The DOM element
+ * @returns {string} Tag name
+ */
+function getTagName(element) {
+    return (element.localName || element.nodeName || '').toLowerCase();
+}
+
+/**
+ * Get an element's class attribute (className is an SVGAnimatedString on SVG elements)
+ * @param {Element} element - The DOM element
+ * @returns {string} Space-separated classes
+ */
+function getClassName(element) {
+    if (typeof element.className === 'string') {
+        return element.className;
+    }
+    return (element.getAttribute && element.getAttribute('class')) || '';
+}
+
+/**
+ * Get the visible text of an element (SVG and MathML elements have no innerText)
+ * @param {Element} element - The DOM element
+ * @param {number} maxLength - Characters kept
+ * @returns {string|null} Text, or null when empty
+ */
+function getElementText(element, maxLength = 50) {
+    const text = typeof element.innerText === 'string' ? element.innerText : element.textContent;
+    return text ? text.substring(0, maxLength) : null;
+}
+
+/**
+ * Get the resolved link target of an element (href is an SVGAnimatedString on SVG links)
+ * @param {Element} element - The DOM element
+ * @returns {string|null} URL, or null when the element has no link
+ */
+function getElementHref(element) {
+    if (typeof element.href === 'string') {
+        return element.href || null;
+    }
+    const href = element.href && element.href.baseVal;
+    if (!href) {
+        return null;
+    }
+    try {
+        return new URL(href, element.baseURI).href;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Get the iframe element that contains a node, if the node is in a same-origin frame
+ * @param {Node} node - A node
+ * @returns {Element|null} The iframe in the parent document
+ */
+function getFrameElement(node) {
+    const ownerDocument = node && (node.nodeType === Node.DOCUMENT_NODE ? node : node.ownerDocument);
+    const view = ownerDocument && ownerDocument.defaultView;
+    if (!view || view === window) {
+        return null;
+    }
+    try {
+        return view.frameElement;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Get the selectors of the iframes around an element, outermost first
+ * @param {Element} element - The DOM element
+ * @returns {Array<string>|null} Frame path, or null for the top document
+ */
+function getFramePath(element) {
+    const path = [];
+    for (let frame = getFrameElement(element); frame; frame = getFrameElement(frame)) {
+        path.unshift(getCssSelector(frame));
+    }
+    return path.length > 0 ? path : null;
+}
+
+/**
+ * Element.closest() that continues from shadow hosts (and optionally from iframes)
+ * @param {Element} element - Element to start from
+ * @param {string} selector - Selector to match
+ * @param {boolean} crossFrames - Also continue from the iframe around a frame document
+ * @returns {Element|null} Closest matching element
+ */
+function closestComposed(element, selector, crossFrames = false) {
+    let node = element;
+    while (node) {
+        const match = node.closest ? node.closest(selector) : null;
+        if (match) {
+            return match;
+        }
+        
+        const root = node.getRootNode ? node.getRootNode() : null;
+        node = root && root.host ? root.host : (crossFrames ? getFrameElement(node) : null);
+    }
+    return null;
+}
+
+/**
+ * Find an element by a selector from getCssSelector() (which may cross shadow roots)
+ * @param {string} selector - CSS selector
+ * @param {Document} root - Document to search
+ * @returns {Element|null} The element
+ */
+function querySelectorComposed(selector, root = document) {
+    return selector.split(SHADOW_SEPARATOR).reduce((scope, part, index) => {
+        const searchRoot = index === 0 ? scope : scope && scope.shadowRoot;
+        return searchRoot ? searchRoot.querySelector(part) : null;
+    }, root);
+}
+
+/**
+ * Find an element by an XPath from getXPath() (which may cross shadow roots)
+ * @param {string} xpath - XPath
+ * @param {Document} root - Document to search
+ * @returns {Node|null} The element
+ */
+function evaluateXPathComposed(xpath, root = document) {
+    return xpath.split(SHADOW_SEPARATOR).reduce((scope, part, index) => {
+        const context = index === 0 ? scope : scope && scope.shadowRoot;
+        if (!context) {
+            return null;
+        }
+        return root.evaluate(part, context, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null).singleNodeValue;
+    }, root);
+}
+
+/**
+ * Get detailed element information
+ * @param {Element} element - The DOM element
+ * @returns {Object} Element information
+ */
+function getElementInfo(element) {
+    return {
+        tagName: getTagName(element),
+        namespace: element.namespaceURI || null,
+        id: element.id || null,
+        className: getClassName(element),
+        attributes: Array.from(element.attributes || []).map(attr => ({
+            name: attr.name,
+            value: attr.value
+        }))
+    };
+}
+
+/**
+ * Check whether a selector matches exactly one element in a root, and that it is the given one
+ * @param {string} selector - CSS selector
+ * @param {Element} element - Element it should identify
+ * @param {Document|ShadowRoot|Element} root - Root to search
+ * @returns {boolean} Whether the selector is unique to the element
+ */
+function isUniqueSelector(selector, element, root) {
+    try {
+        const matches = root.querySelectorAll(selector);
+        return matches.length === 1 && matches[0] === element;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Get a selector from a stable attribute or the ID, if one is unique in the root
+ * @param {Element} element - The DOM element
+ * @param {Document|ShadowRoot|Element} root - Root to search
+ * @returns {string|null} Selector such as button[data-testid="save"] or #menu
+ */
+function getAnchorSelector(element, root) {
+    const tag = CSS.escape(element.localName);
+    
+    for (const attribute of ActivityTracker.config.selectors.stableAttributes) {
+        const value = element.getAttribute(attribute);
+        if (value) {
+            const selector = `${tag}[${CSS.escape(attribute)}="${CSS.escape(value)}"]`;
+            if (isUniqueSelector(selector, element, root)) {
+                return selector;
+            }
+        }
+    }
+    
+    if (element.id) {
+        const selector = `#${CSS.escape(element.id)}`;
+        if (isUniqueSelector(selector, element, root)) {
+            return selector;
+        }
+    }
+    return null;
+}
+
+/**
+ * Get one step of a selector path: the tag, plus :nth-of-type when siblings share the tag
+ * @param {Element} element - The DOM element
+ * @param {string} classes - Escaped class selector to include (only for the target itself)
+ * @returns {string} Step such as li:nth-of-type(3) or a.nav-link
+ */
+function getSelectorStep(element, classes = '') {
+    let nth = 1;
+    let sameTag = false;
+    for (let sibling = element.previousElementSibling; sibling; sibling = sibling.previousElementSibling) {
+        if (sibling.localName === element.localName) {
+            nth++;
+        }
+    }
+    for (let sibling = element.nextElementSibling; sibling && !sameTag; sibling = sibling.nextElementSibling) {
+        sameTag = sibling.localName === element.localName;
+    }
+    
+    const position = nth > 1 || sameTag ? `:nth-of-type(${nth})` : '';
+    return `${CSS.escape(element.localName)}${classes}${position}`;
+}
+
+/**
+ * Build the shortest selector that identifies an element within its root
+ * @param {Element} element - The DOM element
+ * @param {Document|ShadowRoot|Element} root - Document or shadow root of the element
+ * @returns {string} CSS selector
+ */
+function buildCssSelector(element, root) {
+    const anchor = getAnchorSelector(element, root);
+    if (anchor) {
+        return anchor;
+    }
+    
+    const tag = CSS.escape(element.localName);
+    const classes = getClassName(element).trim().split(/\s+/).filter(c => c).map(c => `.${CSS.escape(c)}`).join('');
+    if (classes && isUniqueSelector(tag + classes, element, root)) {
+        return tag + classes;
+    }
+    
+    // Add ancestors (stopping at one with a stable attribute or ID) until the path is unique
+    const path = [getSelectorStep(element, classes)];
+    for (let node = element.parentElement; node && node !== node.ownerDocument.documentElement; node = node.parentElement) {
+        const selector = path.join(' > ');
+        if (isUniqueSelector(selector, element, root)) {
+            return selector;
+        }
+        
+        const nodeAnchor = getAnchorSelector(node, root);
+        if (nodeAnchor) {
+            path.unshift(nodeAnchor);
+            return path.join(' > ');
+        }
+        path.unshift(getSelectorStep(node));
+    }
+    return path.join(' > ');
+}
+
+/**
+ * Get a CSS selector that identifies one element
+ * Prefers config.selectors.stableAttributes, then the ID, then classes, then a path with
+ * :nth-of-type. Inside a shadow root the selector is prefixed with the host's selector and
+ * SHADOW_SEPARATOR. Results are cached per element until the document or shadow root changes.
+ * @param {Element} element - The DOM element
+ * @returns {string} CSS selector
+ */
+function getCssSelector(element) {
+    const root = element.getRootNode ? element.getRootNode() : element.ownerDocument;
+    const prefix = root && root.host ? `${getCssSelector(root.host)}${SHADOW_SEPARATOR}` : '';
+    
+    // Changes made earlier in this task haven't reached the observer callback yet
+    const observer = ActivityTracker.selectorObserver;
+    if (observer && observer.takeRecords().length > 0) {
+        ActivityTracker.selectorCache = new WeakMap();
+    }
+    
+    let selector = ActivityTracker.selectorCache.get(element);
+    if (!selector) {
+        selector = buildCssSelector(element, root);
+        watchSelectorRoot(root);
+        ActivityTracker.selectorCache.set(element, selector);
+    }
+    return prefix + selector;
+}
+
+/**
+ * Drop cached selectors when elements are added, removed or change attributes used in selectors
+ * @param {Document|ShadowRoot} root - Root the cached selectors are matched in
+ */
+function watchSelectorRoot(root) {
+    if (!root || ActivityTracker.selectorRoots.has(root) || !('MutationObserver' in window)) {
+        return;
+    }
+    if (!ActivityTracker.selectorObserver) {
+        ActivityTracker.selectorObserver = new MutationObserver(() => {
+            ActivityTracker.selectorCache = new WeakMap();
+        });
+    }
+    ActivityTracker.selectorObserver.observe(root, {
+        childList: true,
+        subtree: true,
+        attributes: true,
+        attributeFilter: ['id', 'class', ...ActivityTracker.config.selectors.stableAttributes]
+    });
+    ActivityTracker.selectorRoots.add(root);
+}
+
+/**
+ * Forget cached selectors and stop watching roots (they are watched again on the next lookup)
+ */
+function resetSelectorCache() {
+    if (ActivityTracker.selectorObserver) {
+        ActivityTracker.selectorObserver.disconnect();
+        ActivityTracker.selectorObserver = null;
+    }
+    ActivityTracker.selectorCache = new WeakMap();
+    ActivityTracker.selectorRoots = new WeakSet();
+}
+
+/**
+ * Get one XPath step for an element (SVG and MathML elements are matched by local-name())
+ * @param {Element} element - The DOM element
+ * @returns {string} Step such as div[2]
+ */
+function getXPathStep(element) {
+    let index = 1;
+    for (let sibling = element.previousElementSibling; sibling; sibling = sibling.previousElementSibling) {
+        if (sibling.localName === element.localName && sibling.namespaceURI === element.namespaceURI) {
+            index++;
+        }
+    }
+    
+    const name = element.namespaceURI === HTML_NAMESPACE ? element.localName : `*[local-name()="${element.localName}"]`;
+    return `${name}[${index}]`;
+}
+
+/**
+ * Quote a string for an XPath expression (XPath 1.0 has no escapes, so mixed quotes need concat())
+ * @param {string} value - String value
+ * @returns {string} XPath string literal
+ */
+function toXPathLiteral(value) {
+    if (!value.includes('"')) {
+        return `"${value}"`;
+    }
+    if (!value.includes("'")) {
+        return `'${value}'`;
+    }
+    return `concat(${value.split('"').map(part => `"${part}"`).join(`, '"', `)})`;
+}
+
+/**
+ * Get XPath for an element
+ * Inside a shadow root the XPath is relative to the root, prefixed with the host's XPath and SHADOW_SEPARATOR
+ * @param {Element} element - The DOM element
+ * @returns {string} XPath
+ */
+function getXPath(element) {
+    const root = element.getRootNode ? element.getRootNode() : null;
+    const host = root && root.host;
+    const steps = [];
+    let start = host ? '.' : '';
+    
+    for (let node = element; node && node.nodeType === Node.ELEMENT_NODE; node = node.parentNode) {
+        if (node.id) {
+            start = `${host ? '.' : ''}//*[@id=${toXPathLiteral(node.id)}]`;
+            break;
+        }
+        if (node === node.ownerDocument.body) {
+            start = '/html/body';
+            break;
+        }
+        steps.unshift(getXPathStep(node));
+    }
+    
+    const path = [start, ...steps].join('/');
+    return host ? `${getXPath(host)}${SHADOW_SEPARATOR}${path}` : path;
+}
+
+/**
+ * Get computed style information for an element
+ * @param {Element} element - The DOM element
+ * @returns {Object} Selected computed styles
+ */
+function getComputedStyleInfo(element) {
+    const view = (element.ownerDocument && element.ownerDocument.defaultView) || window;
+    const styles = view.getComputedStyle(element);
+    return {
+        display: styles.display,
+        position: styles.position,
+        backgroundColor: styles.backgroundColor,
+        color: styles.color,
+        fontSize: styles.fontSize,
+        fontFamily: styles.fontFamily,
+        width: styles.width,
+        height: styles.height
+    };
+}
+
+/**
+ * Deep-merge config values into a config object (arrays and regexes are replaced)
+ * @param {Object} target - Config object to update in place
+ * @param {Object} partial - Values to merge in
+ * @returns {Object} The updated target
+ */
+function mergeConfig(target, partial) {
+    Object.keys(partial).forEach(key => {
+        const value = partial[key];
+        const isPlainObject = value && Object.getPrototypeOf(value) === Object.prototype;
+        const targetIsPlainObject = target[key] && Object.getPrototypeOf(target[key]) === Object.prototype;
+        
+        if (isPlainObject && targetIsPlainObject) {
+            mergeConfig(target[key], value);
+        } else {
+            target[key] = value;
+        }
+    });
+    return target;
+}
+
+/**
+ * Throttle function to limit event firing rate
+ * @param {Function} func - Function to throttle
+ * @param {number} delay - Delay in milliseconds
+ * @returns {Function} Throttled function
+ */
+function throttle(func, delay) {
+    let lastCall = 0;
+    return function(...args) {
+        const now = Date.now();
+        if (now - lastCall >= delay) {
+            lastCall = now;
+            return func.apply(this, args);
+        }
     };
-    
-    ActivityTracker.events.push(focusEvent);
-    
-    if (ActivityTracker.config.logToConsole) {
-        console.log('%c🎯 FOCUS', 'background: #8BC34A; color: white; padding: 4px 8px; border-radius: 3px;');
-        console.log('Timestamp:', focusEvent.timestamp);
-        console.log('Event Type:', focusEvent.type_of_event);
-        console.log('Event Object:', focusEvent.event_object);
-        console.log('Element:', `${element.tagName} - ${element.name || element.id}`);
-        console.log('---');
+}
+
+// ===================================================================
+// EXPORT FORMATS AND FILTERS
+// ===================================================================
+
+// File extension and MIME type of each export format
+const EXPORT_FORMATS = {
+    json: { extension: 'json', mimeType: 'application/json' },
+    ndjson: { extension: 'ndjson', mimeType: 'application/x-ndjson' },
+    csv: { extension: 'csv', mimeType: 'text/csv' },
+    compact: { extension: 'compact.json', mimeType: 'application/json' }
+};
+
+// Columns that come first in CSV and compact exports
+const LEADING_COLUMNS = ['eventId', 'timestamp', 'type_of_event', 'event_object', 'sessionId', 'sequence', 'pageUrl', 'cssSelector'];
+
+/**
+ * Convert a time filter value to milliseconds
+ * @param {Date|string|number} value - Time as Date, ISO string or ms
+ * @returns {number} Time in ms (NaN when not set)
+ */
+function toTime(value) {
+    if (value === undefined || value === null) {
+        return NaN;
     }
+    return value instanceof Date ? value.getTime() : typeof value === 'number' ? value : Date.parse(value);
 }
 
 /**
- * Handle blur event on form elements
- * @param {Event} event - The blur event
+ * Find the element an event targeted, if it is still in the page
+ * @param {Object} event - The event
+ * @returns {Element|null} The element
  */
-function handleBlurEvent(event) {
-    const element = event.target;
-    
-    if (!['input', 'textarea', 'select'].includes(element.tagName.toLowerCase())) {
-        return;
+function findEventElement(event) {
+    // Events from iframes are looked up in the frame's document
+    let root = document;
+    for (const frameSelector of event.framePath || []) {
+        let frame = null;
+        try {
+            frame = querySelectorComposed(frameSelector, root);
+        } catch (error) {
+            // Not a valid selector in this document
+        }
+        root = frame ? getFrameDocument(frame) : null;
+        if (!root) {
+            return null;
+        }
     }
     
-    const eventObject = getEventObjectType(element);
+    // The XPath is positional, so it finds the exact element even for ambiguous selectors in older exports
+    if (event.xpath && root.evaluate) {
+        try {
+            const element = evaluateXPathComposed(event.xpath, root);
+            if (element) {
+                return element;
+            }
+        } catch (error) {
+            // Not a valid XPath in this document
+        }
+    }
+    try {
+        return event.cssSelector ? querySelectorComposed(event.cssSelector, root) : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Check whether an event's element matches a CSS selector
+ * @param {Object} event - The event
+ * @param {string} selector - Selector to match
+ * @param {boolean} includeAncestors - Also match when an ancestor matches (e.g. an icon inside a link)
+ * @returns {boolean} Whether the event targets a matching element
+ */
+function eventMatchesSelector(event, selector, includeAncestors = false) {
+    if (!event.cssSelector) {
+        return false;
+    }
+    if (event.cssSelector === selector) {
+        return true;
+    }
+    const element = findEventElement(event);
+    try {
+        return Boolean(element && (includeAncestors ? closestComposed(element, selector) : element.matches(selector)));
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Filter events
+ * @param {Array} events - Events to filter
+ * @param {Object} filters - { from, to, types, objects, selector }
+ * @returns {Array} Matching events
+ */
+function filterEvents(events, filters = {}) {
+    const from = toTime(filters.from);
+    const to = toTime(filters.to);
     
-    const blurEvent = {
-        timestamp: new Date().toISOString(),
-        type_of_event: 'BLUR',
-        event_object: eventObject,
-        element: {
-            tagName: element.tagName.toLowerCase(),
-            id: element.id || 'N/A',
-            name: element.name || 'N/A'
+    return events.filter(event => {
+        const time = Date.parse(event.timestamp);
+        if (!Number.isNaN(from) && time < from) return false;
+        if (!Number.isNaN(to) && time > to) return false;
+        if (filters.types && !filters.types.includes(event.type_of_event)) return false;
+        if (filters.objects && !filters.objects.includes(event.event_object)) return false;
+        if (filters.selector && !eventMatchesSelector(event, filters.selector)) return false;
+        return true;
+    });
+}
+
+/**
+ * Flatten an event into dotted keys (element.tagName, position.x, ...)
+ * @param {Object} value - Event or nested object
+ * @param {string} prefix - Key prefix
+ * @param {Object} result - Flattened values
+ * @returns {Object} Flattened values
+ */
+function flattenEvent(value, prefix = '', result = {}) {
+    Object.keys(value).forEach(key => {
+        const item = value[key];
+        const column = prefix ? `${prefix}.${key}` : key;
+        
+        if (item && typeof item === 'object' && !Array.isArray(item)) {
+            flattenEvent(item, column, result);
+        } else {
+            result[column] = Array.isArray(item) ? JSON.stringify(item) : item;
         }
-    };
+    });
+    return result;
+}
+
+/**
+ * Flatten events and collect their columns
+ * @param {Array} events - Events
+ * @returns {Object} { columns, rows } where rows are flattened events
+ */
+function tabulateEvents(events) {
+    const rows = events.map(event => flattenEvent(event));
+    const columns = new Set(LEADING_COLUMNS);
+    rows.forEach(row => Object.keys(row).forEach(column => columns.add(column)));
+    return { columns: Array.from(columns), rows: rows };
+}
+
+/**
+ * Quote a value for CSV
+ * @param {*} value - Cell value
+ * @returns {string} CSV cell
+ */
+function toCsvCell(value) {
+    if (value === undefined || value === null) {
+        return '';
+    }
+    let text = String(value);
     
-    ActivityTracker.events.push(blurEvent);
+    // Captured text starting like a formula would run when opened in a spreadsheet
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
 }
 
 /**
- * Handle change event on form elements
- * @param {Event} event - The change event
+ * Export events in a given format
+ * @param {string} format - 'json', 'ndjson', 'csv' or 'compact'
+ * @param {Object} filters - { from, to, types, objects, selector }
+ * @returns {string} Exported data
  */
-function handleChangeEvent(event) {
-    const element = event.target;
+function exportEvents(format = 'json', filters = {}) {
+    if (!EXPORT_FORMATS[format]) {
+        throw new Error(`Unknown export format "${format}" (use ${Object.keys(EXPORT_FORMATS).join(', ')})`);
+    }
     
-    const eventObject = getEventObjectType(element);
+    const events = filterEvents(ActivityTracker.events, filters);
+    markErrorsSent(events);
     
-    const changeEvent = {
-        timestamp: new Date().toISOString(),
-        type_of_event: 'CHANGE',
-        event_object: eventObject,
-        element: {
-            tagName: element.tagName.toLowerCase(),
-            id: element.id || 'N/A',
-            name: element.name || 'N/A',
-            type: element.type || 'N/A',
-            value: element.value?.substring(0, 50) || 'N/A' // Limited for privacy
+    switch (format) {
+        case 'ndjson':
+            return events.map(event => JSON.stringify(event)).join('\n') + (events.length ? '\n' : '');
+        
+        case 'csv': {
+            const { columns, rows } = tabulateEvents(events);
+            const lines = [columns.map(toCsvCell).join(',')];
+            rows.forEach(row => lines.push(columns.map(column => toCsvCell(row[column])).join(',')));
+            return lines.join('\r\n') + '\r\n';
         }
-    };
-    
-    ActivityTracker.events.push(changeEvent);
-    
-    if (ActivityTracker.config.logToConsole) {
-        console.log('%c✏️ CHANGE', 'background: #FFC107; color: black; padding: 4px 8px; border-radius: 3px;');
-        console.log('Timestamp:', changeEvent.timestamp);
-        console.log('Event Type:', changeEvent.type_of_event);
-        console.log('Event Object:', changeEvent.event_object);
-        console.log('Element:', `${element.name || element.id}`);
-        console.log('---');
+        
+        case 'compact': {
+            // Column names once, then one array per event: repeats compress well
+            const { columns, rows } = tabulateEvents(events);
+            return JSON.stringify({
+                schemaVersion: SCHEMA_VERSION,
+                format: 'compact',
+                session: getExportSession(),
+                columns: columns,
+                rows: rows.map(row => columns.map(column => row[column] === undefined ? null : row[column])),
+                exportTime: new Date().toISOString()
+            });
+        }
+        
+        default:
+            return JSON.stringify({
+                schemaVersion: SCHEMA_VERSION,
+                session: getExportSession(),
+                events: events,
+                exportTime: new Date().toISOString()
+            }, null, 2);
     }
 }
 
 /**
- * Handle form submit event
- * @param {Event} event - The submit event
+ * Offer text as a file download
+ * @param {string} content - File content
+ * @param {string} fileName - File name
+ * @param {string} mimeType - MIME type
  */
-function handleSubmitEvent(event) {
-    const form = event.target;
+function downloadFile(content, fileName, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    a.setAttribute(ActivityTracker.config.privacy.ignoreAttribute, '');  // Don't track our own click
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Download events in a given format
+ * @param {string} format - 'json', 'ndjson', 'csv' or 'compact'
+ * @param {Object} filters - { from, to, types, objects, selector }
+ */
+function downloadEvents(format = 'json', filters = {}) {
+    const content = exportEvents(format, filters);
+    const { extension, mimeType } = EXPORT_FORMATS[format];
     
-    const submitEvent = {
-        timestamp: new Date().toISOString(),
-        type_of_event: 'FORM_SUBMIT',
-        event_object: 'FORM',
-        form: {
-            id: form.id || 'N/A',
-            name: form.name || 'N/A',
-            action: form.action || 'N/A',
-            method: form.method || 'N/A'
+    // Without consent the file name carries the anonymous ID, like the export itself
+    downloadFile(content, `activity-tracker-${getExportSession().sessionId}.${extension}`, mimeType);
+    
+    console.log(`✅ Events downloaded as ${format.toUpperCase()} file`);
+}
+
+/**
+ * Rebuild a nested event from flattened columns (inverse of flattenEvent)
+ * @param {Array<string>} columns - Dotted column names
+ * @param {Array} row - Values in column order
+ * @returns {Object} Event
+ */
+function unflattenEvent(columns, row) {
+    const event = {};
+    columns.forEach((column, index) => {
+        if (row[index] === null || row[index] === undefined) {
+            return;
         }
-    };
+        const keys = column.split('.');
+        let target = event;
+        keys.slice(0, -1).forEach(key => {
+            target[key] = target[key] || {};
+            target = target[key];
+        });
+        target[keys[keys.length - 1]] = row[index];
+    });
+    return event;
+}
+
+/**
+ * Read events from an export (json, ndjson or compact), migrating version 1 files
+ * @param {Array|Object|string} data - Events array, parsed export or export file content
+ * @returns {Array} Events
+ */
+function parseImportedEvents(data) {
+    const unsupported = new Error('Unsupported import: expected a json, ndjson or compact export');
+    if (Array.isArray(data)) {
+        return data;
+    }
     
-    ActivityTracker.events.push(submitEvent);
+    if (typeof data === 'string') {
+        try {
+            data = JSON.parse(data);
+        } catch (error) {
+            // Not a single JSON document: NDJSON has one event per line
+            try {
+                return data.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+            } catch (lineError) {
+                throw unsupported;
+            }
+        }
+    }
     
-    if (ActivityTracker.config.logToConsole) {
-        console.log('%c📤 FORM SUBMIT', 'background: #4CAF50; color: white; padding: 4px 8px; border-radius: 3px;');
-        console.log('Timestamp:', submitEvent.timestamp);
-        console.log('Event Type:', submitEvent.type_of_event);
-        console.log('Event Object:', submitEvent.event_object);
-        console.table(submitEvent.form);
-        console.log('---');
+    if (data && data.format === 'compact' && Array.isArray(data.rows)) {
+        return data.rows.map(row => unflattenEvent(data.columns, row));
+    }
+    if (data && Array.isArray(data.events)) {
+        return data.schemaVersion ? data.events : migrateExport(data).events;
     }
+    throw unsupported;
 }
 
 // ===================================================================
-// KEYBOARD EVENT HANDLER
+// HEATMAP OVERLAY
 // ===================================================================
 
+// Density colours from few clicks (blue) to many (red)
+const HEATMAP_GRADIENT = { 0.4: 'blue', 0.6: 'cyan', 0.7: 'lime', 0.8: 'yellow', 1.0: 'red' };
+
+// Largest canvas width or height drawn by the click density map
+const MAX_CANVAS_SIDE = 16384;
+
 /**
- * Handle keyboard events
- * @param {Event} event - The keyboard event
+ * Check whether an event was recorded on the page currently shown
+ * @param {Object} event - The event
+ * @returns {boolean} Whether the event's page path matches this page
  */
-function handleKeyboardEvent(event) {
-    // Only track special keys (not regular typing for privacy)
-    const specialKeys = ['Enter', 'Escape', 'Tab', 'Backspace', 'Delete'];
+function isEventOnCurrentPage(event) {
+    if (!event.pageUrl) {
+        return true;
+    }
+    try {
+        return new URL(event.pageUrl, window.location.href).pathname === window.location.pathname;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Get the path and query of a page URL, without the hash
+ * @param {string} pageUrl - URL recorded with an event
+ * @returns {string} Pathname and search
+ */
+function getPagePath(pageUrl) {
+    try {
+        const url = new URL(pageUrl, window.location.href);
+        return url.pathname + url.search;
+    } catch (error) {
+        return String(pageUrl);
+    }
+}
+
+/**
+ * Create the overlay container covering the whole document
+ * @returns {HTMLElement} Container
+ */
+function createHeatmapContainer() {
+    const root = document.documentElement;
+    const container = document.createElement('div');
+    container.setAttribute(ActivityTracker.config.privacy.ignoreAttribute, '');  // Never track the overlay
     
-    if (!specialKeys.includes(event.key)) {
-        return;
+    // A positioned body would shift the overlay, so cancel its offset
+    let top = 0;
+    let left = 0;
+    if (window.getComputedStyle(document.body).position !== 'static') {
+        const rect = document.body.getBoundingClientRect();
+        top = -(rect.top + window.scrollY);
+        left = -(rect.left + window.scrollX);
     }
     
-    const keyEvent = {
-        timestamp: new Date().toISOString(),
-        type_of_event: 'KEYBOARD',
-        event_object: 'KEYBOARD',
-        key: event.key,
-        code: event.code,
-        ctrlKey: event.ctrlKey,
-        shiftKey: event.shiftKey,
-        altKey: event.altKey
-    };
+    container.style.cssText = `position: absolute; top: ${top}px; left: ${left}px; ` +
+        `width: ${Math.max(root.scrollWidth, document.body.scrollWidth)}px; height: ${getDocumentHeight()}px; ` +
+        'pointer-events: none; z-index: 2147483647; overflow: hidden;';
+    document.body.appendChild(container);
+    return container;
+}
+
+/**
+ * Build the colour lookup for density values
+ * @returns {Uint8ClampedArray} RGBA values for alpha 0-255
+ */
+function getHeatmapPalette() {
+    const canvas = document.createElement('canvas');
+    canvas.width = 256;
+    canvas.height = 1;
+    const context = canvas.getContext('2d');
+    const gradient = context.createLinearGradient(0, 0, 256, 0);
+    Object.keys(HEATMAP_GRADIENT).forEach(stop => gradient.addColorStop(Number(stop), HEATMAP_GRADIENT[stop]));
+    context.fillStyle = gradient;
+    context.fillRect(0, 0, 256, 1);
+    return context.getImageData(0, 0, 256, 1).data;
+}
+
+/**
+ * Draw a density map of click positions
+ * @param {HTMLElement} container - Overlay container
+ * @param {Array} clicks - CLICK events
+ * @returns {number} Clicks drawn
+ */
+function renderClickDensity(container, clicks) {
+    const { radius, opacity, maxCanvasPixels } = ActivityTracker.config.heatmap;
+    const width = container.offsetWidth || parseInt(container.style.width, 10);
+    const height = container.offsetHeight || parseInt(container.style.height, 10);
     
-    ActivityTracker.events.push(keyEvent);
+    // Browsers cap canvas size (and reading pixels back is slow), so scale down and stretch
+    const scale = Math.min(1, Math.sqrt(maxCanvasPixels / (width * height)), MAX_CANVAS_SIDE / width, MAX_CANVAS_SIDE / height);
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.floor(width * scale));
+    canvas.height = Math.max(1, Math.floor(height * scale));
+    canvas.style.cssText = `width: ${width}px; height: ${height}px; opacity: ${opacity};`;
     
-    if (ActivityTracker.config.logToConsole) {
-        console.log('%c⌨️ KEYBOARD', 'background: #607D8B; color: white; padding: 4px 8px; border-radius: 3px;');
-        console.log('Timestamp:', keyEvent.timestamp);
-        console.log('Event Type:', keyEvent.type_of_event);
-        console.log('Event Object:', keyEvent.event_object);
-        console.log('Key:', event.key);
-        console.log('---');
+    const context = canvas.getContext && canvas.getContext('2d');
+    if (!context) {
+        console.warn('⚠️ Canvas is not available - use showHeatmap({ mode: \'elements\' }) instead');
+        return 0;
+    }
+    
+    const points = clicks.filter(event => event.position && typeof event.position.pageX === 'number');
+    context.scale(scale, scale);
+    
+    // Each click is a soft spot; overlapping spots add up to higher alpha
+    points.forEach(event => {
+        const { pageX: x, pageY: y } = event.position;
+        const gradient = context.createRadialGradient(x, y, 0, x, y, radius);
+        gradient.addColorStop(0, 'rgba(0, 0, 0, 0.3)');
+        gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
+        context.fillStyle = gradient;
+        context.fillRect(x - radius, y - radius, radius * 2, radius * 2);
+    });
+    
+    // Colour each pixel by its accumulated alpha
+    const palette = getHeatmapPalette();
+    const image = context.getImageData(0, 0, canvas.width, canvas.height);
+    for (let i = 3; i < image.data.length; i += 4) {
+        const alpha = image.data[i];
+        if (alpha > 0) {
+            image.data[i - 3] = palette[alpha * 4];
+            image.data[i - 2] = palette[alpha * 4 + 1];
+            image.data[i - 1] = palette[alpha * 4 + 2];
+            image.data[i] = Math.min(255, alpha * 3);
+        }
     }
+    context.putImageData(image, 0, 0);
+    
+    container.appendChild(canvas);
+    return points.length;
 }
 
-// ===================================================================
-// MOUSE MOVEMENT HANDLER
-// ===================================================================
-
 /**
- * Handle mouse movement (throttled)
- * @param {Event} event - The mousemove event
+ * Outline the most-clicked elements (by selector) with their counts
+ * @param {HTMLElement} container - Overlay container
+ * @param {Array} clicks - CLICK events
+ * @returns {number} Elements outlined
  */
-function handleMouseMoveEvent(event) {
-    const moveEvent = {
-        timestamp: new Date().toISOString(),
-        type_of_event: 'MOUSE_MOVE',
-        event_object: 'MOUSE',
-        position: {
-            x: event.clientX,
-            y: event.clientY
+function renderElementHeatmap(container, clicks) {
+    const counts = new Map();
+    clicks.forEach(event => {
+        if (event.cssSelector) {
+            counts.set(event.cssSelector, (counts.get(event.cssSelector) || 0) + (event.count || 1));
         }
-    };
+    });
+    
+    const total = Array.from(counts.values()).reduce((sum, count) => sum + count, 0);
+    const ranked = Array.from(counts.entries())
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, ActivityTracker.config.heatmap.maxElements);
+    const maxCount = ranked.length ? ranked[0][1] : 0;
+    let outlined = 0;
+    
+    const rows = ranked.map(([selector, count], index) => {
+        let element = null;
+        try {
+            element = querySelectorComposed(selector);
+        } catch (error) {
+            // Selector recorded on a different page structure
+        }
+        
+        if (element) {
+            const rect = element.getBoundingClientRect();
+            const hue = Math.round(60 * (1 - count / maxCount));  // Red for the top element, yellow for the least
+            const box = document.createElement('div');
+            box.style.cssText = `position: absolute; box-sizing: border-box; ` +
+                `top: ${rect.top + window.scrollY}px; left: ${rect.left + window.scrollX}px; ` +
+                `width: ${rect.width}px; height: ${rect.height}px; ` +
+                `border: 3px solid hsl(${hue}, 100%, 50%); background: hsla(${hue}, 100%, 50%, 0.15);`;
+            
+            const label = document.createElement('span');
+            label.textContent = `#${index + 1} · ${count} (${Math.round((count / total) * 100)}%)`;
+            label.style.cssText = `position: absolute; top: -3px; left: -3px; padding: 2px 6px; ` +
+                `font: bold 12px Arial, sans-serif; color: black; background: hsl(${hue}, 100%, 50%);`;
+            
+            box.appendChild(label);
+            container.appendChild(box);
+            outlined++;
+        }
+        
+        return { 'Rank': index + 1, 'Selector': selector, 'Clicks': count, 'On Page': Boolean(element) };
+    });
     
-    ActivityTracker.events.push(moveEvent);
+    if (rows.length > 0) {
+        console.table(rows);
+    }
+    return outlined;
 }
 
-// ===================================================================
-// RESIZE EVENT HANDLER
-// ===================================================================
+/**
+ * Get the maximum scroll depth of each page view
+ * @param {Array} events - Events including SCROLL_DEPTH
+ * @returns {Array<number>} Depth (0-100) per page view
+ */
+function getScrollReach(events) {
+    // Threshold events report progress; the final event closes the page view
+    const openViews = new Map();
+    const depths = [];
+    
+    events.filter(event => event.type_of_event === 'SCROLL_DEPTH').forEach(event => {
+        // Anchor jumps change the hash but not the page view
+        const key = `${event.sessionId}|${getPagePath(event.pageUrl)}`;
+        const depth = Math.max(openViews.get(key) || 0, event.maxDepth || 0, event.threshold || 0);
+        
+        if (event.final) {
+            depths.push(depth);
+            openViews.delete(key);
+        } else {
+            openViews.set(key, depth);
+        }
+    });
+    
+    openViews.forEach(depth => depths.push(depth));
+    return depths;
+}
 
 /**
- * Handle window resize event
+ * Shade the page by the share of page views that scrolled that far
+ * @param {HTMLElement} container - Overlay container
+ * @param {Array} events - Events including SCROLL_DEPTH
+ * @returns {number} Page views drawn
  */
-function handleResizeEvent() {
-    const resizeEvent = {
-        timestamp: new Date().toISOString(),
-        type_of_event: 'RESIZE',
-        event_object: 'WINDOW',
-        viewport: {
-            width: window.innerWidth,
-            height: window.innerHeight
+function renderScrollMap(container, events) {
+    const depths = getScrollReach(events);
+    if (depths.length === 0) {
+        return 0;
+    }
+    
+    for (let percent = 0; percent < 100; percent += 5) {
+        const reached = depths.filter(depth => depth > percent).length / depths.length;
+        const hue = Math.round(240 * (1 - reached));  // Red where everyone got, blue where nobody did
+        
+        const band = document.createElement('div');
+        band.style.cssText = `position: absolute; left: 0; right: 0; top: ${percent}%; height: 5%; ` +
+            `background: hsl(${hue}, 100%, 50%); opacity: ${ActivityTracker.config.heatmap.opacity * 0.6};`;
+        container.appendChild(band);
+        
+        if (percent % 10 === 0) {
+            const label = document.createElement('div');
+            label.textContent = `${Math.round(reached * 100)}% reached ${percent}%`;
+            label.style.cssText = `position: absolute; right: 8px; top: ${percent}%; padding: 2px 6px; ` +
+                'font: bold 12px Arial, sans-serif; color: white; background: rgba(0, 0, 0, 0.7); border-radius: 3px;';
+            container.appendChild(label);
         }
-    };
+    }
+    
+    return depths.length;
+}
+
+/**
+ * Draw the current heatmap (again, after a resize)
+ * @returns {number} Clicks, elements or page views drawn
+ */
+function renderHeatmap() {
+    const heatmap = ActivityTracker.heatmap;
+    if (heatmap.container) {
+        heatmap.container.remove();
+    }
+    heatmap.container = createHeatmapContainer();
     
-    ActivityTracker.events.push(resizeEvent);
+    const clicks = heatmap.events.filter(event => event.type_of_event === 'CLICK');
+    let drawn = 0;
     
-    if (ActivityTracker.config.logToConsole) {
-        console.log('%c📐 RESIZE', 'background: #795548; color: white; padding: 4px 8px; border-radius: 3px;');
-        console.log('Timestamp:', resizeEvent.timestamp);
-        console.log('Event Type:', resizeEvent.type_of_event);
-        console.log('Event Object:', resizeEvent.event_object);
-        console.log('Viewport:', `${resizeEvent.viewport.width}x${resizeEvent.viewport.height}`);
-        console.log('---');
+    switch (heatmap.options.mode) {
+        case 'elements':
+            drawn = renderElementHeatmap(heatmap.container, clicks);
+            break;
+        case 'scroll':
+            drawn = renderScrollMap(heatmap.container, heatmap.events);
+            break;
+        default:
+            drawn = renderClickDensity(heatmap.container, clicks);
     }
+    
+    return drawn;
 }
 
-// ===================================================================
-// PAGE UNLOAD HANDLER
-// ===================================================================
-
 /**
- * Handle page unload event
+ * Show a heatmap over the page
+ * @param {Object} options - { mode: 'clicks', 'elements' or 'scroll', events (array or export file content), filters, allPages }
+ * @returns {number} Clicks, elements or page views drawn
  */
-function handlePageUnload() {
-    const sessionDuration = Date.now() - new Date(ActivityTracker.session.startTime).getTime();
+function showHeatmap(options = {}) {
+    const mode = options.mode || 'clicks';
+    if (!['clicks', 'elements', 'scroll'].includes(mode)) {
+        throw new Error(`Unknown heatmap mode "${mode}" (use clicks, elements or scroll)`);
+    }
     
-    console.log('%c=================================', 'color: #F44336; font-weight: bold;');
-    console.log('%c📊 SESSION SUMMARY', 'color: #F44336; font-weight: bold; font-size: 16px;');
-    console.log('%c=================================', 'color: #F44336; font-weight: bold;');
-    console.log('Session Duration:', (sessionDuration / 1000).toFixed(2), 'seconds');
-    console.log('Total Events Tracked:', ActivityTracker.events.length);
-    console.log('Session ID:', ActivityTracker.session.sessionId);
+    // Imported exports may cover other pages; keep the ones recorded here
+    const source = options.events ? parseImportedEvents(options.events) : ActivityTracker.events;
+    const events = filterEvents(source, options.filters)
+        .filter(event => !event.framePath && (options.allPages || isEventOnCurrentPage(event)));   // Frame coordinates don't map onto the page
     
-    // Event breakdown
-    const eventCounts = {};
-    ActivityTracker.events.forEach(event => {
-        eventCounts[event.type_of_event] = (eventCounts[event.type_of_event] || 0) + 1;
-    });
+    hideHeatmap();
+    const heatmap = ActivityTracker.heatmap;
+    heatmap.events = events;
+    heatmap.options = { ...options, mode: mode };
     
-    console.log('\nEvent Breakdown:');
-    console.table(eventCounts);
+    const drawn = renderHeatmap();
     
-    console.log('%c=================================\n', 'color: #F44336; font-weight: bold;');
+    // Positions and element boxes depend on the layout
+    heatmap.resizeHandler = () => {
+        clearTimeout(heatmap.resizeTimer);
+        heatmap.resizeTimer = setTimeout(renderHeatmap, 200);
+    };
+    window.addEventListener('resize', heatmap.resizeHandler);
+    
+    console.log(`%c🔥 HEATMAP (${mode})`, 'background: #F44336; color: white; padding: 4px 8px; border-radius: 3px;');
+    console.log(`${drawn} ${mode === 'scroll' ? 'page views' : mode === 'elements' ? 'elements' : 'clicks'} drawn from ${events.length} events - hideHeatmap() to remove`);
+    return drawn;
 }
 
-// ===================================================================
-// EVENT OBJECT TYPE DETECTION
-// ===================================================================
-
 /**
- * Determine the type of event object (drop_down/image/text etc.)
- * @param {Element} element - The DOM element
- * @returns {string} Event object type
+ * Remove the heatmap overlay
  */
-function getEventObjectType(element) {
-    const tagName = element.tagName.toLowerCase();
-    
-    // Form elements
-    if (['input', 'textarea', 'select'].includes(tagName)) {
-        if (tagName === 'select') {
-            return 'DROP_DOWN';
-        }
-        
-        const type = element.type?.toLowerCase();
-        switch (type) {
-            case 'text':
-            case 'password':
-            case 'email':
-            case 'search':
-            case 'tel':
-            case 'url':
-                return 'TEXT_FIELD';
-            case 'checkbox':
-                return 'CHECKBOX';
-            case 'radio':
-                return 'RADIO_BUTTON';
-            case 'file':
-                return 'FILE_UPLOAD';
-            case 'submit':
-            case 'button':
-                return 'BUTTON';
-            case 'range':
-                return 'SLIDER';
-            case 'date':
-            case 'time':
-            case 'datetime-local':
-                return 'DATE_PICKER';
-            case 'color':
-                return 'COLOR_PICKER';
-            default:
-                return 'INPUT_FIELD';
-        }
+function hideHeatmap() {
+    const heatmap = ActivityTracker.heatmap;
+    if (heatmap.resizeHandler) {
+        window.removeEventListener('resize', heatmap.resizeHandler);
+        clearTimeout(heatmap.resizeTimer);
+        heatmap.resizeHandler = null;
     }
-    
-    // Interactive elements
-    switch (tagName) {
-        case 'a':
-            return 'LINK';
-        case 'button':
-            return 'BUTTON';
-        case 'img':
-            return 'IMAGE';
-        case 'video':
-            return 'VIDEO';
-        case 'audio':
-            return 'AUDIO';
-        case 'iframe':
-            return 'IFRAME';
-        case 'canvas':
-            return 'CANVAS';
-        case 'svg':
-            return 'SVG';
-        case 'table':
-            return 'TABLE';
-        case 'ul':
-        case 'ol':
-            return 'LIST';
-        case 'li':
-            return 'LIST_ITEM';
-        case 'div':
-            return 'CONTAINER';
-        case 'span':
-            return 'TEXT_SPAN';
-        case 'p':
-            return 'PARAGRAPH';
-        case 'h1':
-        case 'h2':
-        case 'h3':
-        case 'h4':
-        case 'h5':
-        case 'h6':
-            return 'HEADING';
-        case 'form':
-            return 'FORM';
-        case 'label':
-            return 'LABEL';
-        case 'nav':
-            return 'NAVIGATION';
-        case 'header':
-            return 'HEADER';
-        case 'footer':
-            return 'FOOTER';
-        case 'section':
-            return 'SECTION';
-        case 'article':
-            return 'ARTICLE';
-        case 'main':
-            return 'MAIN_CONTENT';
-        default:
-            return 'ELEMENT';
+    if (heatmap.container) {
+        heatmap.container.remove();
+        heatmap.container = null;
     }
+    heatmap.events = [];
 }
 
 // ===================================================================
-// UTILITY FUNCTIONS
+// GOALS AND FUNNELS
 // ===================================================================
 
 /**
- * Get detailed element information
- * @param {Element} element - The DOM element
- * @returns {Object} Element information
+ * Check whether a value matches a string or list of strings
+ * @param {*} value - Event value
+ * @param {string|Array<string>} expected - Accepted value(s)
+ * @returns {boolean} Whether it matches
  */
-function getElementInfo(element) {
-    return {
-        tagName: element.tagName.toLowerCase(),
-        id: element.id,
-        className: element.className,
-        attributes: Array.from(element.attributes).map(attr => ({
-            name: attr.name,
-            value: attr.value
-        }))
-    };
+function matchesOneOf(value, expected) {
+    return Array.isArray(expected) ? expected.includes(value) : value === expected;
 }
 
 /**
- * Get CSS selector for an element
- * @param {Element} element - The DOM element
- * @returns {string} CSS selector
+ * Check whether an event satisfies a goal or funnel step
+ * @param {Object} event - The event
+ * @param {Object} match - { type, object, selector, url, section, where }
+ * @returns {boolean} Whether every given condition holds
  */
-function getCssSelector(element) {
-    if (element.id) {
-        return `#${element.id}`;
-    }
+function eventMatchesStep(event, match) {
+    if (match.type && !matchesOneOf(event.type_of_event, match.type)) return false;
+    if (match.object && !matchesOneOf(event.event_object, match.object)) return false;
+    if (match.section && event.section !== match.section) return false;
+    if (match.selector && !eventMatchesSelector(event, match.selector, true)) return false;
     
-    if (element.className) {
-        const classes = element.className.split(' ').filter(c => c).join('.');
-        return `${element.tagName.toLowerCase()}.${classes}`;
+    if (match.url) {
+        // Page views carry the URL they show; other events the page they happened on
+        const url = event.url || event.pageUrl || '';
+        const matches = match.url instanceof RegExp ? match.url.test(url) : url.includes(match.url);
+        if (!matches) return false;
     }
     
-    // Build path from parent
-    let path = [];
-    while (element.parentElement) {
-        let selector = element.tagName.toLowerCase();
-        if (element.id) {
-            selector += `#${element.id}`;
-            path.unshift(selector);
-            break;
-        } else {
-            let sibling = element;
-            let nth = 1;
-            while (sibling.previousElementSibling) {
-                sibling = sibling.previousElementSibling;
-                if (sibling.tagName === element.tagName) nth++;
+    if (typeof match.where === 'function' && !match.where(event)) return false;
+    return true;
+}
+
+/**
+ * Group events by session, in time order
+ * @param {Array} events - Events
+ * @returns {Map<string, Array>} Events per sessionId ('anonymous' for events without one)
+ */
+function groupEventsBySession(events) {
+    const sessions = new Map();
+    events
+        .slice()
+        .sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp))
+        .forEach(event => {
+            const sessionId = event.sessionId || 'anonymous';
+            if (!sessions.has(sessionId)) {
+                sessions.set(sessionId, []);
             }
-            if (nth > 1) selector += `:nth-of-type(${nth})`;
-            path.unshift(selector);
-        }
-        element = element.parentElement;
-    }
-    
-    return path.join(' > ');
+            sessions.get(sessionId).push(event);
+        });
+    return sessions;
 }
 
 /**
- * Get XPath for an element
- * @param {Element} element - The DOM element
- * @returns {string} XPath
+ * Get the events to analyse: the in-memory events or an imported export
+ * @param {Array|Object|string} source - Optional events or export file content
+ * @returns {Array} Events
  */
-function getXPath(element) {
-    if (element.id) {
-        return `//*[@id="${element.id}"]`;
-    }
-    
-    if (element === document.body) {
-        return '/html/body';
-    }
-    
-    let ix = 0;
-    const siblings = element.parentNode?.childNodes || [];
+function getAnalysisEvents(source) {
+    return source ? parseImportedEvents(source) : ActivityTracker.events;
+}
+
+/**
+ * Evaluate the configured goals
+ * @param {Array|Object|string} source - Optional events or export (defaults to the tracked events)
+ * @returns {Array<Object>} Per goal: { name, completions, sessions, convertedSessions, conversionRate }
+ */
+function getGoalReport(source) {
+    const sessions = groupEventsBySession(getAnalysisEvents(source));
     
-    for (let i = 0; i < siblings.length; i++) {
-        const sibling = siblings[i];
-        if (sibling === element) {
-            return getXPath(element.parentNode) + '/' + element.tagName.toLowerCase() + '[' + (ix + 1) + ']';
-        }
-        if (sibling.nodeType === 1 && sibling.tagName === element.tagName) {
-            ix++;
-        }
-    }
+    return ActivityTracker.config.goals.map(goal => {
+        let completions = 0;
+        let convertedSessions = 0;
+        
+        sessions.forEach(sessionEvents => {
+            const matches = sessionEvents.filter(event => eventMatchesStep(event, goal.match || {})).length;
+            completions += matches;
+            convertedSessions += matches > 0 ? 1 : 0;
+        });
+        
+        return {
+            name: goal.name,
+            completions: completions,
+            sessions: sessions.size,
+            convertedSessions: convertedSessions,
+            conversionRate: sessions.size ? convertedSessions / sessions.size : 0
+        };
+    });
 }
 
 /**
- * Get computed style information for an element
- * @param {Element} element - The DOM element
- * @returns {Object} Selected computed styles
+ * Evaluate the configured funnels (steps must happen in order within a session)
+ * @param {Array|Object|string} source - Optional events or export (defaults to the tracked events)
+ * @returns {Array<Object>} Per funnel: { name, sessions, entered, completed, conversionRate, steps }
  */
-function getComputedStyleInfo(element) {
-    const styles = window.getComputedStyle(element);
-    return {
-        display: styles.display,
-        position: styles.position,
-        backgroundColor: styles.backgroundColor,
-        color: styles.color,
-        fontSize: styles.fontSize,
-        fontFamily: styles.fontFamily,
-        width: styles.width,
-        height: styles.height
-    };
+function getFunnelReport(source) {
+    const sessions = groupEventsBySession(getAnalysisEvents(source));
+    
+    return ActivityTracker.config.funnels.map(funnel => {
+        const steps = funnel.steps || [];
+        const reached = steps.map(() => 0);
+        const durations = steps.map(() => []);   // ms from the previous step, per session
+        
+        sessions.forEach(sessionEvents => {
+            let stepIndex = 0;
+            let previousTime = null;
+            
+            for (const event of sessionEvents) {
+                if (stepIndex >= steps.length) {
+                    break;
+                }
+                if (!eventMatchesStep(event, steps[stepIndex].match || {})) {
+                    continue;
+                }
+                
+                const time = Date.parse(event.timestamp);
+                reached[stepIndex] += 1;
+                if (previousTime !== null) {
+                    durations[stepIndex].push(time - previousTime);
+                }
+                previousTime = time;
+                stepIndex++;
+            }
+        });
+        
+        const entered = reached[0] || 0;
+        const completed = steps.length ? reached[steps.length - 1] : 0;
+        
+        return {
+            name: funnel.name,
+            sessions: sessions.size,
+            entered: entered,
+            completed: completed,
+            conversionRate: entered ? completed / entered : 0,
+            steps: steps.map((step, index) => {
+                const previous = index === 0 ? entered : reached[index - 1];
+                const times = durations[index].slice().sort((a, b) => a - b);
+                const middle = Math.floor(times.length / 2);
+                return {
+                    name: step.name || `Step ${index + 1}`,
+                    reached: reached[index],
+                    dropOff: previous - reached[index],
+                    dropOffRate: previous ? (previous - reached[index]) / previous : 0,
+                    conversionFromStart: entered ? reached[index] / entered : 0,
+                    avgTimeFromPrevious: times.length ? Math.round(times.reduce((sum, t) => sum + t, 0) / times.length) : null,
+                    medianTimeFromPrevious: times.length === 0 ? null
+                        : times.length % 2 ? times[middle] : Math.round((times[middle - 1] + times[middle]) / 2)
+                };
+            })
+        };
+    });
 }
 
 /**
- * Throttle function to limit event firing rate
- * @param {Function} func - Function to throttle
- * @param {number} delay - Delay in milliseconds
- * @returns {Function} Throttled function
+ * Print goal and funnel results (part of the summary report)
  */
-function throttle(func, delay) {
-    let lastCall = 0;
-    return function(...args) {
-        const now = Date.now();
-        if (now - lastCall >= delay) {
-            lastCall = now;
-            return func.apply(this, args);
-        }
-    };
+function printConversionReport() {
+    const percent = value => `${(value * 100).toFixed(1)}%`;
+    const seconds = ms => (ms === null ? 'N/A' : (ms / 1000).toFixed(1));
+    
+    const goals = getGoalReport();
+    if (goals.length > 0) {
+        console.log('\n🏆 GOALS:');
+        console.table(goals.map(goal => ({
+            'Goal': goal.name,
+            'Completions': goal.completions,
+            'Sessions': `${goal.convertedSessions}/${goal.sessions}`,
+            'Conversion': percent(goal.conversionRate)
+        })));
+    }
+    
+    getFunnelReport().forEach(funnel => {
+        console.log(`\n🔻 FUNNEL: ${funnel.name} (${funnel.completed}/${funnel.entered} sessions, ${percent(funnel.conversionRate)} conversion)`);
+        console.table(funnel.steps.map(step => ({
+            'Step': step.name,
+            'Sessions': step.reached,
+            'Drop-off': `${step.dropOff} (${percent(step.dropOffRate)})`,
+            'From Start': percent(step.conversionFromStart),
+            'Avg Time (s)': seconds(step.avgTimeFromPrevious),
+            'Median Time (s)': seconds(step.medianTimeFromPrevious)
+        })));
+    });
 }
 
 // ===================================================================
@@ -819,31 +7076,14 @@ function getEventsByObjectType(objectType) {
  * @returns {string} JSON string of events
  */
 function exportEventsAsJSON() {
-    const exportData = {
-        session: ActivityTracker.session,
-        events: ActivityTracker.events,
-        exportTime: new Date().toISOString()
-    };
-    
-    return JSON.stringify(exportData, null, 2);
+    return exportEvents('json');
 }
 
 /**
  * Download events as JSON file
  */
 function downloadEventsAsJSON() {
-    const json = exportEventsAsJSON();
-    const blob = new Blob([json], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `activity-tracker-${ActivityTracker.session.sessionId}.json`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
-    
-    console.log('✅ Events downloaded as JSON file');
+    downloadEvents('json');
 }
 
 /**
@@ -864,6 +7104,9 @@ function printSummaryReport() {
         eventCounts[event.type_of_event] = (eventCounts[event.type_of_event] || 0) + 1;
     });
     console.table(eventCounts);
+    if (ActivityTracker.buffer.dropped > 0 || ActivityTracker.buffer.flushed > 0) {
+        console.log(`Buffer: ${ActivityTracker.buffer.dropped} events dropped, ${ActivityTracker.buffer.flushed} flushed to transport`);
+    }
     
     console.log('\n🎯 EVENT OBJECT BREAKDOWN:');
     const objectCounts = {};
@@ -872,6 +7115,92 @@ function printSummaryReport() {
     });
     console.table(objectCounts);
     
+    const record = ActivityTracker.sessionRecord;
+    if (ActivityTracker.plugins.has('engagement') && ActivityTracker.plugins.get('engagement').active) {
+        console.log('\n⏱️ ENGAGED TIME:');
+        console.table({
+            'This Page (s)': (getEngagedTime() / 1000).toFixed(1),
+            'Session (s)': record ? (((record.engagedTime || 0) + getEngagedTime() - ActivityTracker.engagement.reportedTime) / 1000).toFixed(1) : 'N/A',
+            'Engaged Now': isEngaged()
+        });
+    }
+    
+    if (ActivityTracker.performance.metrics) {
+        const { navigation, vitals, longTasks } = getPerformanceMetrics();
+        console.log('\n⚡ PAGE PERFORMANCE:');
+        console.table({
+            'TTFB (ms)': navigation ? navigation.ttfb : 'N/A',
+            'DOMContentLoaded (ms)': navigation ? navigation.domContentLoaded : 'N/A',
+            'Load (ms)': navigation && navigation.load !== null ? navigation.load : 'N/A',
+            'FCP (ms)': vitals.fcp ?? 'N/A',
+            'LCP (ms)': vitals.lcp ?? 'N/A',
+            'CLS': vitals.cls ?? 'N/A',
+            'INP (ms)': vitals.inp ?? 'N/A',
+            'Long Tasks': longTasks ? longTasks.count : 'N/A'
+        });
+    }
+    
+    const errors = ActivityTracker.events.filter(event => event.type_of_event === 'ERROR');
+    if (errors.length > 0) {
+        console.log('\n💥 ERRORS:');
+        console.table(errors.map(e => ({
+            'Kind': e.kind,
+            'Message': e.message,
+            'Source': e.source ? `${e.source}${e.line ? `:${e.line}` : ''}` : 'N/A',
+            'Count': e.count
+        })));
+    }
+    
+    printConversionReport();
+    
+    const forms = getFormReport();
+    if (forms.length > 0) {
+        console.log('\n🧾 FORMS:');
+        console.table(forms.map(form => ({
+            'Form': form.form,
+            'Submitted': form.submissions,
+            'Abandoned': form.abandonments,
+            'In Progress': form.inProgress,
+            'Completion': `${(form.completionRate * 100).toFixed(1)}%`,
+            'Avg Time to Submit (s)': form.avgTimeToSubmit === null ? 'N/A' : (form.avgTimeToSubmit / 1000).toFixed(1),
+            'Last Field Before Abandon': form.lastFieldBeforeAbandon || 'N/A'
+        })));
+    }
+    
+    const links = getLinkSummary();
+    if (Object.keys(links.types).length > 0) {
+        console.log('\n🔗 LINK CLICKS:');
+        console.table(links.types);
+        if (links.destinations.length > 0) {
+            console.log('Top outbound destinations:');
+            console.table(links.destinations);
+        }
+    }
+    
+    const frustration = getFrustrationSummary();
+    if (frustration.length > 0) {
+        console.log('\n😤 FRUSTRATION SIGNALS:');
+        console.table(frustration);
+    }
+    
+    const media = getMediaReport().filter(entry => entry.plays > 0);
+    if (media.length > 0) {
+        console.log('\n🎬 MEDIA:');
+        console.table(media.map(entry => ({
+            'Element': entry.cssSelector,
+            'Source': entry.src || 'N/A',
+            'Duration (s)': entry.duration ?? 'N/A',
+            'Plays': entry.plays,
+            'Watched (s)': entry.watchedSeconds,
+            'Watched %': entry.watchedPercent ?? 'N/A'
+        })));
+    }
+    
+    if (ActivityTracker.sections.size > 0) {
+        console.log('\n👁️ SECTION DWELL TIME:');
+        console.table(getSectionDwellTimes());
+    }
+    
     console.log('\n📝 RECENT EVENTS (Last 10):');
     console.table(ActivityTracker.events.slice(-10).map(e => ({
         'Timestamp': new Date(e.timestamp).toLocaleTimeString(),
@@ -887,6 +7216,24 @@ function printSummaryReport() {
     console.log('  getEventsByObjectType(type) - Filter events by object type');
     console.log('  exportEventsAsJSON()        - Export events as JSON string');
     console.log('  downloadEventsAsJSON()      - Download events as JSON file');
+    console.log('  exportEvents(format, filters)   - Export as json/ndjson/csv/compact');
+    console.log('  downloadEvents(format, filters) - Download in that format');
+    console.log('  downloadRecording()         - Download the session recording for replay.html');
+    console.log('  showHeatmap(options)        - Overlay clicks, top elements or scroll reach');
+    console.log('  hideHeatmap()               - Remove the heatmap overlay');
+    console.log('  getSectionDwellTimes()      - Visible time per tracked section');
+    console.log('  getMediaReport()            - Watched time and milestones per video/audio');
+    console.log('  getPerformanceMetrics()     - Load timing and Core Web Vitals so far');
+    console.log('  getGoalReport(events)       - Conversions of config.goals');
+    console.log('  getFunnelReport(events)     - Step-by-step results of config.funnels');
+    console.log('  getFormReport(events)       - Completion, abandonment and field timing per form');
+    console.log('  track(name, properties)     - Record a custom event');
+    console.log('  registerPlugin(plugin)      - Add listeners or enrich events');
+    console.log('  updateConfig(partial)       - Change config while running');
+    console.log('  start() / stop()            - Attach or detach all listeners');
+    console.log('  pause() / resume()          - Temporarily stop recording');
+    console.log('  grantConsent() / revokeConsent() - Manage tracking consent');
+    console.log('  flushEvents()               - Send pending events to the collector');
     console.log('  printSummaryReport()        - Print this report again');
 }
 
@@ -894,11 +7241,22 @@ function printSummaryReport() {
 // AUTO-INITIALIZATION
 // ===================================================================
 
-// Initialize tracker when DOM is ready
-if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', initActivityTracker);
-} else {
-    initActivityTracker();
+// Apply config set before this script loaded (window.ActivityTrackerConfig = {...})
+if (window.ActivityTrackerConfig && typeof window.ActivityTrackerConfig === 'object') {
+    mergeConfig(ActivityTracker.config, window.ActivityTrackerConfig);
+}
+
+// Respect a consent decision made on an earlier page load
+ActivityTracker.consent = loadConsent();
+
+// Initialize tracker when DOM is ready (without consent, only in anonymous mode)
+const canAutoStart = canPersist() || ActivityTracker.config.consent.mode === 'anonymous';
+if (ActivityTracker.config.autoStart && canAutoStart) {
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initActivityTracker);
+    } else {
+        initActivityTracker();
+    }
 }
 
 // ===================================================================
@@ -912,7 +7270,38 @@ window.ActivityTracker = {
     getEventsByObjectType,
     exportEventsAsJSON,
     downloadEventsAsJSON,
+    exportEvents,
+    downloadEvents,
+    exportRecording,
+    downloadRecording,
+    showHeatmap,
+    hideHeatmap,
     printSummaryReport,
+    getSectionDwellTimes,
+    getMediaReport,
+    getPerformanceMetrics,
+    getGoalReport,
+    getFunnelReport,
+    getFormReport,
+    track,
+    registerPlugin,
+    unregisterPlugin,
+    getPlugins,
+    flushEvents,
+    start,
+    stop,
+    pause,
+    resume,
+    destroy,
+    updateConfig,
+    getState,
+    grantConsent,
+    revokeConsent,
+    getConsent,
+    getEventSchema,
+    validateEvent,
+    migrateExport,
+    schemaVersion: SCHEMA_VERSION,
     config: ActivityTracker.config
 };
 
@@ -0,0 +1,351 @@
+/**
+ * ===================================================================
+ * ACTIVITY TRACKER - REFERENCE COLLECTOR SERVER
+ * ===================================================================
+ * Small local Node server that receives the batches sent by
+ * activity-tracker.js, appends them to per-day NDJSON files and
+ * answers queries across all sessions.
+ *
+ * Run with:  node collector-server.js
+ * Options:   PORT (default 3000), DATA_DIR (default ./collector-data)
+ * ===================================================================
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+// ===================================================================
+// CONFIGURATION SECTION
+// ===================================================================
+
+const config = {
+    port: Number(process.env.PORT) || 3000,
+    dataDir: process.env.DATA_DIR || path.join(__dirname, 'collector-data'),
+    maxBodyBytes: 1024 * 1024,     // Reject batches larger than 1 MB
+    maxEventsPerBatch: 1000,       // Reject batches with more events than this
+    defaultQueryLimit: 1000        // Maximum events returned by a query
+};
+
+// ===================================================================
+// PAYLOAD VALIDATION
+// ===================================================================
+
+/**
+ * Check that a string is a parseable ISO timestamp
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether the value is a valid timestamp
+ */
+function isValidTimestamp(value) {
+    return typeof value === 'string' && !Number.isNaN(Date.parse(value));
+}
+
+/**
+ * Validate a batch in the shape produced by exportEventsAsJSON()
+ * @param {*} payload - Parsed request body
+ * @returns {Array<string>} List of problems (empty when valid)
+ */
+function validateBatch(payload) {
+    const errors = [];
+
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+        return ['Body must be a JSON object with "session" and "events"'];
+    }
+
+    const session = payload.session;
+    if (!session || typeof session !== 'object') {
+        errors.push('"session" must be an object');
+    } else if (typeof session.sessionId !== 'string' || session.sessionId === '') {
+        errors.push('"session.sessionId" must be a non-empty string');
+    }
+
+    if (!Array.isArray(payload.events)) {
+        errors.push('"events" must be an array');
+        return errors;
+    }
+
+    if (payload.events.length === 0) {
+        errors.push('"events" must not be empty');
+    } else if (payload.events.length > config.maxEventsPerBatch) {
+        errors.push(`"events" must not contain more than ${config.maxEventsPerBatch} entries`);
+    }
+
+    payload.events.forEach((event, index) => {
+        if (!event || typeof event !== 'object' || Array.isArray(event)) {
+            errors.push(`events[${index}] must be an object`);
+            return;
+        }
+        if (typeof event.type_of_event !== 'string' || event.type_of_event === '') {
+            errors.push(`events[${index}].type_of_event must be a non-empty string`);
+        }
+        if (typeof event.event_object !== 'string' || event.event_object === '') {
+            errors.push(`events[${index}].event_object must be a non-empty string`);
+        }
+        if (!isValidTimestamp(event.timestamp)) {
+            errors.push(`events[${index}].timestamp must be an ISO date string`);
+        }
+    });
+
+    return errors;
+}
+
+// ===================================================================
+// NDJSON STORAGE
+// ===================================================================
+
+/**
+ * Get the NDJSON file path for a given day
+ * @param {string} day - Day in YYYY-MM-DD form (UTC)
+ * @returns {string} File path
+ */
+function getDayFile(day) {
+    return path.join(config.dataDir, `events-${day}.ndjson`);
+}
+
+/**
+ * Append accepted events to their per-day NDJSON files
+ * @param {Object} session - Session block of the batch
+ * @param {Array} events - Validated events
+ */
+function storeEvents(session, events) {
+    fs.mkdirSync(config.dataDir, { recursive: true });
+
+    const receivedAt = new Date().toISOString();
+    const linesByDay = {};
+
+    events.forEach(event => {
+        const day = new Date(event.timestamp).toISOString().slice(0, 10);
+        // Events keep their own envelope sessionId; the batch session only fills the gap
+        const record = { ...event, sessionId: event.sessionId || session.sessionId, receivedAt };
+        linesByDay[day] = (linesByDay[day] || '') + JSON.stringify(record) + '\n';
+    });
+
+    Object.keys(linesByDay).forEach(day => {
+        fs.appendFileSync(getDayFile(day), linesByDay[day]);
+    });
+}
+
+/**
+ * List stored days, optionally limited to a time range
+ * @param {number} from - Start time in ms (or NaN for no limit)
+ * @param {number} to - End time in ms (or NaN for no limit)
+ * @returns {Array<string>} Sorted YYYY-MM-DD days
+ */
+function listDays(from, to) {
+    if (!fs.existsSync(config.dataDir)) {
+        return [];
+    }
+
+    const fromDay = Number.isNaN(from) ? null : new Date(from).toISOString().slice(0, 10);
+    const toDay = Number.isNaN(to) ? null : new Date(to).toISOString().slice(0, 10);
+
+    return fs.readdirSync(config.dataDir)
+        .map(name => /^events-(\d{4}-\d{2}-\d{2})\.ndjson$/.exec(name))
+        .filter(match => match)
+        .map(match => match[1])
+        .filter(day => (!fromDay || day >= fromDay) && (!toDay || day <= toDay))
+        .sort();
+}
+
+/**
+ * Read stored events matching the given filters
+ * @param {Object} filters - { type, object, sessionId, from, to, limit }
+ * @returns {Array} Matching events in stored order
+ * @throws {Error} With status 400 when from or to is not a date
+ */
+function queryEvents(filters) {
+    const from = filters.from ? Date.parse(filters.from) : NaN;
+    const to = filters.to ? Date.parse(filters.to) : NaN;
+    ['from', 'to'].forEach(name => {
+        if (filters[name] && Number.isNaN(Date.parse(filters[name]))) {
+            throw Object.assign(new Error(`"${name}" is not a valid date`), { status: 400 });
+        }
+    });
+
+    // Clamp to 1..defaultQueryLimit; a missing or non-numeric limit means the default
+    const requested = Math.floor(Number(filters.limit)) || config.defaultQueryLimit;
+    const limit = Math.min(Math.max(requested, 1), config.defaultQueryLimit);
+    const results = [];
+
+    for (const day of listDays(from, to)) {
+        const lines = fs.readFileSync(getDayFile(day), 'utf8').split('\n');
+
+        for (const line of lines) {
+            if (!line) continue;
+
+            let event;
+            try {
+                event = JSON.parse(line);
+            } catch (error) {
+                continue; // Skip a partially written line
+            }
+
+            const time = Date.parse(event.timestamp);
+            if (filters.type && event.type_of_event !== filters.type) continue;
+            if (filters.object && event.event_object !== filters.object) continue;
+            if (filters.sessionId && event.sessionId !== filters.sessionId) continue;
+            if (!Number.isNaN(from) && time < from) continue;
+            if (!Number.isNaN(to) && time > to) continue;
+
+            results.push(event);
+            if (results.length >= limit) {
+                return results;
+            }
+        }
+    }
+
+    return results;
+}
+
+// ===================================================================
+// HTTP HELPERS
+// ===================================================================
+
+/**
+ * Send a JSON response (with CORS headers for the tracker pages)
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status code
+ * @param {Object|null} body - Response body (ignored for 204)
+ */
+function sendJson(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type'
+    });
+    res.end(status === 204 ? undefined : JSON.stringify(body));
+}
+
+/**
+ * Read the request body, failing when it exceeds the size limit
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<string>} Body text
+ */
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        let tooLarge = false;
+        const chunks = [];
+
+        req.on('data', chunk => {
+            if (tooLarge) return;
+            size += chunk.length;
+            if (size > config.maxBodyBytes) {
+                // Keep draining the body without storing it so the 413 reaches the client
+                tooLarge = true;
+                chunks.length = 0;
+                reject(Object.assign(new Error('Payload too large'), { status: 413 }));
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            if (!tooLarge) resolve(Buffer.concat(chunks).toString('utf8'));
+        });
+        req.on('error', reject);
+    });
+}
+
+// ===================================================================
+// ROUTES
+// ===================================================================
+
+/**
+ * POST /events - accept a batch from the tracker
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+async function handleIngest(req, res) {
+    let payload;
+    try {
+        // The tracker sends text/plain to avoid a CORS preflight, so parse regardless of type
+        payload = JSON.parse(await readBody(req));
+    } catch (error) {
+        sendJson(res, error.status || 400, { error: error.status ? error.message : 'Body is not valid JSON' });
+        return;
+    }
+
+    const errors = validateBatch(payload);
+    if (errors.length > 0) {
+        sendJson(res, 400, { error: 'Invalid batch', details: errors });
+        return;
+    }
+
+    storeEvents(payload.session, payload.events);
+    sendJson(res, 202, { accepted: payload.events.length });
+}
+
+/**
+ * Route a request to its handler
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+async function handleRequest(req, res) {
+    let url, parts, query;
+    try {
+        url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+        parts = url.pathname.split('/').filter(p => p).map(decodeURIComponent);
+        query = Object.fromEntries(url.searchParams);
+    } catch (error) {
+        sendJson(res, 400, { error: 'Malformed URL' });
+        return;
+    }
+
+    try {
+        if (req.method === 'OPTIONS') {
+            sendJson(res, 204, null);
+        } else if (req.method === 'POST' && url.pathname === '/events') {
+            await handleIngest(req, res);
+        } else if (req.method !== 'GET') {
+            sendJson(res, 405, { error: 'Method not allowed' });
+        } else if (url.pathname === '/health') {
+            sendJson(res, 200, { status: 'ok' });
+        } else if (url.pathname === '/events') {
+            // GET /events?type=&object=&session=&from=&to=&limit=
+            sendJson(res, 200, { events: queryEvents({ ...query, sessionId: query.session }) });
+        } else if (parts[0] === 'events' && parts[1] === 'type' && parts.length === 3) {
+            sendJson(res, 200, { events: queryEvents({ ...query, type: parts[2] }) });
+        } else if (parts[0] === 'events' && parts[1] === 'object' && parts.length === 3) {
+            sendJson(res, 200, { events: queryEvents({ ...query, object: parts[2] }) });
+        } else if (parts[0] === 'sessions' && parts[2] === 'events' && parts.length === 3) {
+            sendJson(res, 200, { events: queryEvents({ ...query, sessionId: parts[1] }) });
+        } else {
+            sendJson(res, 404, { error: 'Not found' });
+        }
+    } catch (error) {
+        if (error.status) {
+            sendJson(res, error.status, { error: error.message });
+            return;
+        }
+        console.error('❌ Request failed:', error);
+        sendJson(res, 500, { error: 'Internal server error' });
+    }
+}
+
+/**
+ * Start the collector server
+ * @param {number} port - Port to listen on
+ * @returns {http.Server} The running server
+ */
+function startServer(port = config.port) {
+    const server = http.createServer(handleRequest);
+    server.listen(port, () => {
+        console.log(`📡 Activity collector listening on http://localhost:${port}`);
+        console.log(`   Storing events in ${config.dataDir}`);
+    });
+    return server;
+}
+
+if (require.main === module) {
+    startServer();
+}
+
+module.exports = {
+    config,
+    validateBatch,
+    storeEvents,
+    queryEvents,
+    handleRequest,
+    startServer
+};